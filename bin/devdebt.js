@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * DevDebt command line: analyze a local checkout before pushing, and
+ * optionally upload the results to a server.
+ *
+ * Exit codes: 0 ok, 1 a threshold was exceeded, 2 usage or runtime error.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { analyzeLocal } = require('../src/cli/analyze');
+const { formatTable, toSarif, checkThresholds } = require('../src/cli/report');
+const { uploadResults } = require('../src/cli/upload');
+
+const USAGE = `Usage:
+  devdebt analyze [path] [options]
+  devdebt upload [path] --repository <id> [options]
+
+Analysis options (analyze and upload):
+  --profile <file>        Scoring profile JSON (any subset of weights/thresholds)
+  --history-days <n>      Also mine n days of git history for churn and hotspots
+  --threads <n>           Worker threads for analyzing files (default 1)
+  --verbose               Print analyzer logs and warnings to stderr
+
+analyze:
+  --format <format>       table (default), json or sarif
+  -o, --output <file>     Write the report to a file instead of stdout
+  --top <n>               Rows in the table (default 20, 0 for all)
+  --max-severe <n>        Fail when more than n files are severe
+  --max-high <n>          Fail when more than n files are high or severe
+  --max-average <score>   Fail when the average sprawl score is above score
+  --max-score <score>     Fail when any file scores above score
+
+upload:
+  -r, --repository <id>   Repository ID on the server (or DEVDEBT_REPOSITORY)
+  --server <url>          Server URL (or DEVDEBT_SERVER, default http://localhost:3000)
+  --token <token>         API token with scans:write (prefer DEVDEBT_TOKEN)
+  --results <file>        Upload a saved \`analyze --format json\` file instead of analyzing
+`;
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ['table', 'json', 'sarif'];
+
+const ANALYSIS_OPTIONS = {
+  profile: { type: 'string' },
+  'history-days': { type: 'string' },
+  threads: { type: 'string' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMAND_OPTIONS = {
+  analyze: {
+    ...ANALYSIS_OPTIONS,
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    top: { type: 'string' },
+    'max-severe': { type: 'string' },
+    'max-high': { type: 'string' },
+    'max-average': { type: 'string' },
+    'max-score': { type: 'string' }
+  },
+  upload: {
+    ...ANALYSIS_OPTIONS,
+    repository: { type: 'string', short: 'r' },
+    server: { type: 'string' },
+    token: { type: 'string' },
+    results: { type: 'string' }
+  }
+};
+
+/**
+ * Numeric option, undefined when not given
+ */
+function numberOption(values, name, { integer = false } = {}) {
+  if (values[name] === undefined) return undefined;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+    throw new Error(`--${name} must be a ${integer ? 'whole ' : ''}number >= 0`);
+  }
+  return value;
+}
+
+/**
+ * Run the analysis for a command. Analyzer logs and warnings go to stderr
+ * with --verbose and are dropped otherwise, so stdout only carries the
+ * report; errors are always printed.
+ */
+async function analyze(positionals, values) {
+  if (values.verbose) {
+    console.log = console.error;
+    console.warn = console.error;
+  } else {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const threads = numberOption(values, 'threads', { integer: true });
+  const historyDays = numberOption(values, 'history-days', { integer: true });
+  if (threads === 0 || historyDays === 0) {
+    throw new Error('--threads and --history-days must be at least 1');
+  }
+
+  return analyzeLocal(positionals[0] || '.', {
+    profile: values.profile,
+    threads,
+    historyDays
+  });
+}
+
+function writeReport(report, output) {
+  if (output) {
+    fs.writeFileSync(output, report.endsWith('\n') ? report : `${report}\n`);
+    console.error(`Report written to ${output}`);
+  } else {
+    process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+  }
+}
+
+async function runAnalyze(positionals, values) {
+  const format = values.format || 'table';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  const top = numberOption(values, 'top', { integer: true });
+  const thresholds = {
+    maxSevere: numberOption(values, 'max-severe', { integer: true }),
+    maxHigh: numberOption(values, 'max-high', { integer: true }),
+    maxAverage: numberOption(values, 'max-average'),
+    maxScore: numberOption(values, 'max-score')
+  };
+
+  const { results } = await analyze(positionals, values);
+
+  if (format === 'json') writeReport(JSON.stringify(results, null, 2), values.output);
+  else if (format === 'sarif') writeReport(JSON.stringify(toSarif(results), null, 2), values.output);
+  else writeReport(formatTable(results, { top }), values.output);
+
+  const failures = checkThresholds(results, thresholds);
+  if (failures.length) {
+    console.error(`\nThresholds exceeded:\n${failures.map(failure => `  - ${failure}`).join('\n')}`);
+    return EXIT_THRESHOLD;
+  }
+  return EXIT_OK;
+}
+
+async function runUpload(positionals, values) {
+  const repositoryId = Number(values.repository || process.env.DEVDEBT_REPOSITORY);
+  if (!Number.isInteger(repositoryId) || repositoryId < 1) {
+    throw new Error('--repository <id> (or DEVDEBT_REPOSITORY) is required');
+  }
+  const token = values.token || process.env.DEVDEBT_TOKEN;
+  if (!token) {
+    throw new Error('An API token is required: set DEVDEBT_TOKEN (create one under /auth/tokens with scans:write)');
+  }
+  const server = values.server || process.env.DEVDEBT_SERVER || 'http://localhost:3000';
+
+  let results;
+  if (values.results) {
+    if (positionals.length) throw new Error('Pass either a path or --results, not both');
+    try {
+      results = JSON.parse(fs.readFileSync(values.results, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read results ${values.results}: ${error.message}`);
+    }
+  } else {
+    const analysis = await analyze(positionals, values);
+    results = analysis.results;
+
+    // Server-side scans use paths relative to the repository root
+    if (analysis.repositoryRoot && path.resolve(analysis.repositoryRoot) !== analysis.rootDir) {
+      console.error(`Warning: paths are relative to ${analysis.rootDir}, not the repository root ${analysis.repositoryRoot}`);
+    }
+  }
+
+  if (!results.commit) {
+    console.error('Warning: not a git checkout, the scan will have no commit');
+  } else if (results.commit.dirty) {
+    console.error(`Warning: uncommitted changes, results won't exactly match ${results.commit.sha.slice(0, 7)}`);
+  }
+
+  const uploaded = await uploadResults(results, { server, token, repositoryId });
+  console.error(`Uploaded scan ${uploaded.scanId}: ${uploaded.analyzedFiles} files, average sprawl score ${Math.round(uploaded.avgSprawlScore * 100) / 100}`);
+  return EXIT_OK;
+}
+
+const COMMANDS = { analyze: runAnalyze, upload: runUpload };
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    process.stdout.write(USAGE);
+    return command ? EXIT_OK : EXIT_ERROR;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: COMMAND_OPTIONS[command], allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+  if (parsed.values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (parsed.positionals.length > 1) {
+    console.error(`Expected at most one path, got: ${parsed.positionals.join(' ')}`);
+    return EXIT_ERROR;
+  }
+
+  return COMMANDS[command](parsed.positionals, parsed.values);
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`devdebt: ${error.message}`);
+    process.exitCode = EXIT_ERROR;
+  });
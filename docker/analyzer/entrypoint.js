@@ -0,0 +1,29 @@
+/**
+ * Sandbox entrypoint: analyze the read-only checkout mounted at /repo and
+ * write the results as JSON on stdout. Everything else goes to stderr so
+ * the runner can parse stdout as-is.
+ */
+console.log = console.error;
+
+const fs = require('fs');
+const { analyzeDirectory } = require('./src/services/analyzer');
+const { PROGRESS_LINE_PREFIX } = require('./src/services/progress');
+
+const repoDir = process.env.REPO_DIR || '/repo';
+const options = process.env.DEVDEBT_OPTIONS_FILE
+  ? JSON.parse(fs.readFileSync(process.env.DEVDEBT_OPTIONS_FILE, 'utf-8'))
+  : JSON.parse(process.env.DEVDEBT_OPTIONS || '{}');
+
+// Progress goes to stderr as prefixed JSON lines; the runner relays them
+const onProgress = (update) => {
+  process.stderr.write(`${PROGRESS_LINE_PREFIX}${JSON.stringify(update)}\n`);
+};
+
+analyzeDirectory(repoDir, { ...options, onProgress })
+  .then((results) => {
+    process.stdout.write(JSON.stringify(results));
+  })
+  .catch((error) => {
+    console.error('[Analyzer] Fatal error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DebtMetric" ADD COLUMN     "parser" TEXT;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "FunctionMetric" (
+    "id" SERIAL NOT NULL,
+    "debtMetricId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "startLine" INTEGER NOT NULL,
+    "endLine" INTEGER NOT NULL,
+    "loc" INTEGER NOT NULL DEFAULT 0,
+    "cyclomaticComplexity" INTEGER NOT NULL DEFAULT 1,
+    "nestingDepth" INTEGER NOT NULL DEFAULT 0,
+    "paramCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FunctionMetric_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FunctionMetric_debtMetricId_idx" ON "FunctionMetric"("debtMetricId");
+
+-- AddForeignKey
+ALTER TABLE "FunctionMetric" ADD CONSTRAINT "FunctionMetric_debtMetricId_fkey" FOREIGN KEY ("debtMetricId") REFERENCES "DebtMetric"("id") ON DELETE CASCADE ON UPDATE CASCADE;
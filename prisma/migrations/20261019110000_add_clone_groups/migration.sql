@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "DebtMetric" ADD COLUMN     "crossFileDuplication" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CloneGroup" (
+    "id" SERIAL NOT NULL,
+    "scanId" INTEGER NOT NULL,
+    "fileA" TEXT NOT NULL,
+    "startLineA" INTEGER NOT NULL,
+    "endLineA" INTEGER NOT NULL,
+    "fileB" TEXT NOT NULL,
+    "startLineB" INTEGER NOT NULL,
+    "endLineB" INTEGER NOT NULL,
+    "tokenCount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CloneGroup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CloneGroup_scanId_idx" ON "CloneGroup"("scanId");
+
+-- AddForeignKey
+ALTER TABLE "CloneGroup" ADD CONSTRAINT "CloneGroup_scanId_fkey" FOREIGN KEY ("scanId") REFERENCES "Scan"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Repository" ADD COLUMN     "scoringProfile" JSONB;
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "scoringProfile" JSONB;
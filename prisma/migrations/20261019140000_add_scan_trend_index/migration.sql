@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "Scan_repositoryId_status_completedAt_idx" ON "Scan"("repositoryId", "status", "completedAt");
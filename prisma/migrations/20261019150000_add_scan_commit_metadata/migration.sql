@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "branch" TEXT,
+ADD COLUMN     "commitAuthor" TEXT,
+ADD COLUMN     "commitDate" TIMESTAMP(3),
+ADD COLUMN     "commitSha" TEXT,
+ADD COLUMN     "ref" TEXT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "DebtMetric" ADD COLUMN     "authorCount" INTEGER,
+ADD COLUMN     "commitCount" INTEGER,
+ADD COLUMN     "hotspotScore" DOUBLE PRECISION,
+ADD COLUMN     "lastModifiedAt" TIMESTAMP(3),
+ADD COLUMN     "linesChurned" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "historyDays" INTEGER;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Repository" ADD COLUMN     "trackedBranches" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "webhookSecret" TEXT;
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "prBaseBranch" TEXT,
+ADD COLUMN     "prBaseSha" TEXT,
+ADD COLUMN     "prNumber" INTEGER,
+ADD COLUMN     "trigger" TEXT NOT NULL DEFAULT 'manual';
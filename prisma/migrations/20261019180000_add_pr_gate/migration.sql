@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Repository" ADD COLUMN     "gateRules" JSONB;
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "gateResult" JSONB;
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "ScanStatus" ADD VALUE 'CANCELLED';
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "jobId" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "Scan_status_idx" ON "Scan"("status");
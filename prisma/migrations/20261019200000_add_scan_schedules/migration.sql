@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "ScanSchedule" (
+    "id" SERIAL NOT NULL,
+    "repositoryId" INTEGER NOT NULL,
+    "cron" TEXT NOT NULL,
+    "preset" TEXT,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "branch" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastRunAt" TIMESTAMP(3),
+    "lastOutcome" TEXT,
+    "lastScanId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScanSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScanSchedule_repositoryId_key" ON "ScanSchedule"("repositoryId");
+
+-- AddForeignKey
+ALTER TABLE "ScanSchedule" ADD CONSTRAINT "ScanSchedule_repositoryId_fkey" FOREIGN KEY ("repositoryId") REFERENCES "Repository"("id") ON DELETE CASCADE ON UPDATE CASCADE;
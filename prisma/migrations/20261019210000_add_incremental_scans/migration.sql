@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "DebtMetric" ADD COLUMN     "contentHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "cacheBaseScanId" INTEGER,
+ADD COLUMN     "cacheHits" INTEGER,
+ADD COLUMN     "cacheMisses" INTEGER;
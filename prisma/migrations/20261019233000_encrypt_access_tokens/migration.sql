@@ -0,0 +1,2 @@
+-- Existing values stay plaintext until `npm run tokens:rotate` encrypts them
+ALTER TABLE "User" RENAME COLUMN "accessToken" TO "encryptedAccessToken";
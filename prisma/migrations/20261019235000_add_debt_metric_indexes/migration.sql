@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "DebtMetric_scanId_sprawlScore_idx" ON "DebtMetric"("scanId", "sprawlScore");
+
+-- CreateIndex
+CREATE INDEX "DebtMetric_scanId_filePath_idx" ON "DebtMetric"("scanId", "filePath");
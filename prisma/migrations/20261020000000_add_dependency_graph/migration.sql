@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "dependencyCycles" INTEGER,
+ADD COLUMN     "unresolvedImports" INTEGER;
+
+-- CreateTable
+CREATE TABLE "DependencyEdge" (
+    "id" SERIAL NOT NULL,
+    "scanId" INTEGER NOT NULL,
+    "fromPath" TEXT NOT NULL,
+    "toPath" TEXT NOT NULL,
+
+    CONSTRAINT "DependencyEdge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DependencyEdge_scanId_idx" ON "DependencyEdge"("scanId");
+
+-- AddForeignKey
+ALTER TABLE "DependencyEdge" ADD CONSTRAINT "DependencyEdge_scanId_fkey" FOREIGN KEY ("scanId") REFERENCES "Scan"("id") ON DELETE CASCADE ON UPDATE CASCADE;
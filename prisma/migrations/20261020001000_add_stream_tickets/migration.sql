@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "StreamTicket" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "ticketHash" TEXT NOT NULL,
+    "scanId" INTEGER NOT NULL,
+    "sessionId" INTEGER,
+    "apiTokenId" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StreamTicket_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StreamTicket_ticketHash_key" ON "StreamTicket"("ticketHash");
+
+-- AddForeignKey
+ALTER TABLE "StreamTicket" ADD CONSTRAINT "StreamTicket_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Scan" ADD COLUMN     "deliveryId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Scan_deliveryId_key" ON "Scan"("deliveryId");
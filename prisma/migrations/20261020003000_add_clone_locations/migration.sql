@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "CloneLocation" (
+    "id" SERIAL NOT NULL,
+    "cloneGroupId" INTEGER NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "startLine" INTEGER NOT NULL,
+    "endLine" INTEGER NOT NULL,
+
+    CONSTRAINT "CloneLocation_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing pairwise clones become groups with two locations
+INSERT INTO "CloneLocation" ("cloneGroupId", "filePath", "startLine", "endLine")
+SELECT "id", "fileA", "startLineA", "endLineA" FROM "CloneGroup"
+UNION ALL
+SELECT "id", "fileB", "startLineB", "endLineB" FROM "CloneGroup";
+
+-- AlterTable
+ALTER TABLE "CloneGroup" DROP COLUMN "fileA",
+DROP COLUMN "startLineA",
+DROP COLUMN "endLineA",
+DROP COLUMN "fileB",
+DROP COLUMN "startLineB",
+DROP COLUMN "endLineB";
+
+-- CreateIndex
+CREATE INDEX "CloneLocation_cloneGroupId_idx" ON "CloneLocation"("cloneGroupId");
+
+-- AddForeignKey
+ALTER TABLE "CloneLocation" ADD CONSTRAINT "CloneLocation_cloneGroupId_fkey" FOREIGN KEY ("cloneGroupId") REFERENCES "CloneGroup"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+// Generic arrow functions and `as` casts
+export const identity = <T>(value: T): T => value;
+
+export const pick = <T, K extends keyof T>(object: T, key: K): T[K] => object[key];
+
+export const asNumber = (value: unknown) => value as number;
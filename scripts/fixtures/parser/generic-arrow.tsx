@@ -0,0 +1,6 @@
+// In .tsx a generic arrow needs a trailing comma to not read as JSX
+export const List = <T,>({ items }: { items: T[] }) => (
+    <ul>
+        {items.map((item, index) => <li key={index}>{String(item as unknown)}</li>)}
+    </ul>
+);
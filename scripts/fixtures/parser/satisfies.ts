@@ -0,0 +1,9 @@
+// `satisfies` checks a value against a type without widening it
+type Route = { path: string; auth: boolean };
+
+export const routes = {
+    home: { path: '/', auth: false },
+    settings: { path: '/settings', auth: true }
+} satisfies Record<string, Route>;
+
+export const port = Number(process.env.PORT ?? 3000) satisfies number;
@@ -0,0 +1,11 @@
+// Angle-bracket type assertions (not allowed in .tsx)
+declare const input: unknown;
+
+const value = <string>input;
+const length = (<string[]>input).length;
+
+export function first<T>(items: T[]): T | undefined {
+    return <T | undefined>items[0];
+}
+
+export { value, length };
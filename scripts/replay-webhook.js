@@ -0,0 +1,46 @@
+/**
+ * Replay a recorded GitHub webhook delivery against a local server.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> node scripts/replay-webhook.js <event> <payload.json> [url]
+ *
+ * e.g.
+ *   WEBHOOK_SECRET=abc node scripts/replay-webhook.js push scripts/fixtures/github-push.json
+ *
+ * The payload's repository.id must match a tracked Repository.githubRepoId and
+ * the secret must be the one returned by POST /repositories/:id/webhook.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+async function replay() {
+  const [event, payloadPath, url = 'http://localhost:3000/webhooks/github'] = process.argv.slice(2);
+  const secret = process.env.WEBHOOK_SECRET;
+
+  if (!event || !payloadPath || !secret) {
+    console.error('Usage: WEBHOOK_SECRET=<secret> node scripts/replay-webhook.js <event> <payload.json> [url]');
+    process.exit(1);
+  }
+
+  const body = fs.readFileSync(payloadPath);
+  const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': signature
+    },
+    body
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+}
+
+replay().catch((error) => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * Re-wrap stored GitHub tokens with the current encryption key.
+ *
+ * Usage:
+ *   npm run tokens:rotate [-- --dry-run]
+ *
+ * Rotation: add the new key to TOKEN_ENCRYPTION_KEYS (keep the old one),
+ * set TOKEN_ENCRYPTION_KEY_ID to the new key, run this, then remove the old
+ * key. Only the per-token data keys are re-encrypted. Tokens still stored in
+ * plaintext (from before encryption) are encrypted along the way.
+ */
+const prisma = require('../src/prisma');
+const { needsRewrap, rewrapSecret } = require('../src/services/encryption');
+
+async function rotate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const users = await prisma.user.findMany({
+    where: { encryptedAccessToken: { not: null } },
+    select: { id: true, encryptedAccessToken: true }
+  });
+
+  let rotated = 0;
+  let failed = 0;
+  for (const user of users) {
+    if (!needsRewrap(user.encryptedAccessToken)) continue;
+
+    try {
+      const encryptedAccessToken = rewrapSecret(user.encryptedAccessToken);
+      if (!dryRun) {
+        // Skip rows that changed meanwhile (e.g. the user logged in again)
+        await prisma.user.updateMany({
+          where: { id: user.id, encryptedAccessToken: user.encryptedAccessToken },
+          data: { encryptedAccessToken }
+        });
+      }
+      rotated++;
+    } catch (error) {
+      failed++;
+      console.error(`User ${user.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}${rotated} of ${users.length} tokens re-wrapped, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+}
+
+rotate()
+  .catch((error) => {
+    console.error('Rotation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
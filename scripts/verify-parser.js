@@ -0,0 +1,35 @@
+/**
+ * Check that the TypeScript syntax in scripts/fixtures/parser parses with
+ * the AST parser instead of falling back to regex heuristics.
+ *
+ * Usage:
+ *   npm run parser:verify
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseSource, PARSERS } = require('../src/services/parser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'parser');
+
+function verify() {
+  let failed = 0;
+
+  for (const file of fs.readdirSync(FIXTURES_DIR).sort()) {
+    const content = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf-8');
+    const { parser, error } = parseSource(content, file);
+
+    if (parser === PARSERS.REGEX) {
+      failed++;
+      console.error(`FAIL ${file}: ${error}`);
+    } else {
+      console.log(`ok   ${file} (${parser})`);
+    }
+  }
+
+  if (failed) {
+    console.error(`${failed} fixture(s) fell back to ${PARSERS.REGEX}`);
+    process.exitCode = 1;
+  }
+}
+
+verify();
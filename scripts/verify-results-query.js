@@ -0,0 +1,123 @@
+/**
+ * Check GET /scans/:id/results path filters and cursors against the
+ * database in DATABASE_URL. Creates a throwaway user, repository and scan,
+ * and deletes them afterwards.
+ *
+ * Usage:
+ *   npm run results:verify
+ */
+const prisma = require('../src/prisma');
+const { resultsQuerySchema, queryScanResults } = require('../src/services/resultsQuery');
+
+const FILES = [
+  'lib/e.ts',
+  'src/.hidden/d.ts',
+  'src/a.ts',
+  'src/c.js',
+  'src/deep/nested/b.ts',
+  'src/f.tsx',
+  'src_g.ts'
+];
+
+// path filter -> files it should return
+const PATH_CASES = {
+  'src/**/*.ts': ['src/.hidden/d.ts', 'src/a.ts', 'src/deep/nested/b.ts'],
+  'src/*.{ts,tsx}': ['src/a.ts', 'src/f.tsx'],
+  'src/[[:alpha:]]*.ts': ['src/a.ts'],
+  '**/nested/**': ['src/deep/nested/b.ts'],
+  'src/': ['src/.hidden/d.ts', 'src/a.ts', 'src/c.js', 'src/deep/nested/b.ts', 'src/f.tsx'],
+  'src_': ['src_g.ts']
+};
+
+// Cursors whose value doesn't fit the sort column
+const BAD_CURSORS = [
+  { sort: 'loc', value: { gt: 1 } },
+  { sort: 'loc', value: '10' },
+  { sort: 'filePath', value: 5 },
+  { sort: 'lastModifiedAt', value: 'yesterday' }
+];
+
+const encode = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Every page of a query, following nextCursor
+async function allPages(scanId, params) {
+  const paths = [];
+  let cursor;
+  do {
+    const query = resultsQuerySchema.parse({ ...params, ...(cursor && { cursor }) });
+    const page = await queryScanResults(scanId, query);
+    paths.push(...page.metrics.map(metric => metric.filePath));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return paths;
+}
+
+async function verify(scanId) {
+  let failed = 0;
+  const check = (name, ok, detail) => {
+    if (ok) {
+      console.log(`ok   ${name}`);
+    } else {
+      failed++;
+      console.error(`FAIL ${name}: ${detail}`);
+    }
+  };
+
+  for (const [path, expected] of Object.entries(PATH_CASES)) {
+    const actual = await allPages(scanId, { path, sort: 'filePath', order: 'asc', limit: '2' });
+    check(`path=${path}`, JSON.stringify(actual) === JSON.stringify(expected), JSON.stringify(actual));
+  }
+
+  // Equal sort values: ties are broken by id across pages
+  const byLoc = await allPages(scanId, { sort: 'loc', order: 'desc', limit: '3' });
+  check('sort=loc pages', byLoc.length === FILES.length && new Set(byLoc).size === FILES.length, JSON.stringify(byLoc));
+
+  for (const { sort, value } of BAD_CURSORS) {
+    const cursor = encode({ sort, order: 'desc', value, id: 1 });
+    const page = await queryScanResults(scanId, resultsQuerySchema.parse({ sort, cursor }));
+    check(`cursor ${sort}=${JSON.stringify(value)}`, page === null, 'expected an invalid cursor');
+  }
+
+  return failed;
+}
+
+async function main() {
+  const user = await prisma.user.create({
+    data: { githubId: `verify-${Date.now()}`, username: 'verify-results-query' }
+  });
+  const repository = await prisma.repository.create({
+    data: {
+      githubRepoId: user.githubId,
+      name: 'verify',
+      fullName: 'verify/verify',
+      owner: 'verify',
+      htmlUrl: 'https://example.com/verify',
+      cloneUrl: 'https://example.com/verify.git',
+      userId: user.id
+    }
+  });
+
+  try {
+    const scan = await prisma.scan.create({
+      data: { repositoryId: repository.id, status: 'COMPLETED', trigger: 'upload' }
+    });
+    await prisma.debtMetric.createMany({
+      data: FILES.map((filePath, index) => ({ scanId: scan.id, filePath, loc: 10 + (index % 2) }))
+    });
+
+    const failed = await verify(scan.id);
+    if (failed) {
+      console.error(`${failed} check(s) failed`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await prisma.repository.delete({ where: { id: repository.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Verification failed:', error);
+  process.exitCode = 1;
+});
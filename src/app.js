@@ -3,13 +3,24 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const passport = require('passport');
+const config = require('./config');
 
 const app = express();
 
+// Credentials that may appear in query strings never reach the request log
+const REDACTED_QUERY_PARAMS = /([?&](?:ticket|access_token|code)=)[^&]*/g;
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(REDACTED_QUERY_PARAMS, '$1[REDACTED]'));
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(morgan('dev'));
+
+// GitHub webhooks verify signatures over the raw body, so mount them before the JSON parser
+app.use('/webhooks', require('./routes/webhooks'));
+
+// CLI uploads carry a whole scan's results; everything else keeps the default limit
+app.use('/scans/:repoId/upload', express.json({ limit: config.scans.uploadMaxSize }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(passport.initialize());
@@ -24,11 +35,13 @@ const authRoutes = require('./routes/auth');
 const repoRoutes = require('./routes/repositories');
 const scanRoutes = require('./routes/scans');
 const githubRoutes = require('./routes/github');
+const organizationRoutes = require('./routes/organizations');
 
 app.use('/auth', authRoutes);
 app.use('/repositories', repoRoutes);
 app.use('/scans', scanRoutes);
 app.use('/github', githubRoutes);
+app.use('/organizations', organizationRoutes);
 
 // Error Handling
 app.use((err, req, res, next) => {
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeDirectory } = require('../services/analyzer');
+const { describeWorkingTree } = require('../services/git');
+const {
+  scoringProfileSchema,
+  scoringProfileInputSchema,
+  resolveScoringProfile
+} = require('../services/scoringProfile');
+
+const describeIssues = (error) => error.issues
+  .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+  .join('; ');
+
+/**
+ * Scoring profile from a JSON file: any subset of the profile, layered on
+ * the defaults (same rules as PUT /repositories/:id/scoring-profile)
+ *
+ * @param {string} [file]
+ */
+function loadScoringProfile(file) {
+  if (!file) return resolveScoringProfile();
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read scoring profile ${file}: ${error.message}`);
+  }
+
+  const input = scoringProfileInputSchema.safeParse(raw);
+  if (!input.success) {
+    throw new Error(`Invalid scoring profile in ${file}: ${describeIssues(input.error)}`);
+  }
+  const profile = scoringProfileSchema.safeParse(resolveScoringProfile(input.data));
+  if (!profile.success) {
+    throw new Error(`Invalid scoring profile in ${file}: ${describeIssues(profile.error)}`);
+  }
+  return profile.data;
+}
+
+/**
+ * Analyze a local checkout with the same pipeline as the worker.
+ *
+ * @param {string} dir - Directory to analyze (file paths are relative to it)
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Scoring profile JSON file
+ * @param {number} [options.threads] - Worker threads for analyzing files
+ * @param {number} [options.historyDays] - History mode window (needs git history)
+ * @param {Function} [options.onProgress]
+ * @returns {Promise<{ results, rootDir, repositoryRoot }>} `results` is analyzeDirectory's
+ *   plus `commit` and `scoringProfile`, the shape POST /scans/:repoId/upload takes
+ */
+async function analyzeLocal(dir, options = {}) {
+  const rootDir = path.resolve(dir);
+  if (!fs.statSync(rootDir, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  const scoringProfile = loadScoringProfile(options.profile);
+  const workingTree = describeWorkingTree(rootDir);
+  if (options.historyDays && !workingTree) {
+    throw new Error('--history-days needs a git repository');
+  }
+
+  const results = await analyzeDirectory(rootDir, {
+    scoringProfile,
+    historyDays: options.historyDays,
+    threads: options.threads,
+    onProgress: options.onProgress
+  });
+
+  const { root, ...commit } = workingTree || {};
+  return {
+    results: { ...results, commit: workingTree ? commit : null, scoringProfile },
+    rootDir,
+    repositoryRoot: root || null
+  };
+}
+
+module.exports = { analyzeLocal, loadScoringProfile };
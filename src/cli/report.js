@@ -0,0 +1,112 @@
+const { SPRAWL_LEVELS } = require('../services/scanDiff');
+const { analyzedRow } = require('../services/metricRows');
+const { sarifResults, sarifLog } = require('../services/sarif');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Files ranked worst first
+ */
+const rankFiles = (results) => [...results.files].sort((a, b) => b.sprawlScore - a.sprawlScore);
+
+function levelCounts(results) {
+  const counts = Object.fromEntries(SPRAWL_LEVELS.map(level => [level, 0]));
+  for (const file of results.files) counts[file.sprawlLevel]++;
+  return counts;
+}
+
+/**
+ * Ranked table of the worst files plus a summary, for the terminal
+ *
+ * @param {Object} results - analyzeLocal results
+ * @param {Object} [options]
+ * @param {number} [options.top] - Rows to show (0 for all)
+ * @returns {string}
+ */
+function formatTable(results, { top = 20 } = {}) {
+  const ranked = rankFiles(results);
+  const shown = top ? ranked.slice(0, top) : ranked;
+
+  const rows = [
+    ['Score', 'Level', 'LOC', 'CC', 'File'],
+    ...shown.map(file => [
+      file.sprawlScore.toFixed(2),
+      file.sprawlLevel,
+      String(file.loc),
+      file.cyclomaticComplexity.toFixed(1),
+      file.path
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const lines = rows.map(row => row
+    .map((cell, column) => {
+      if (column === row.length - 1) return cell;
+      // Numbers right-aligned, level left-aligned
+      return column === 1 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]);
+    })
+    .join('  '));
+
+  if (shown.length < ranked.length) {
+    lines.push(`... ${ranked.length - shown.length} more (--top 0 shows all)`);
+  }
+
+  const counts = levelCounts(results);
+  const { commit } = results;
+  lines.push(
+    '',
+    `${results.summary.analyzedFiles} files analyzed, average sprawl score ${round(results.summary.averageDebtScore)}`,
+    [...SPRAWL_LEVELS].reverse().map(level => `${level}: ${counts[level]}`).join(', ')
+  );
+  if (commit) {
+    lines.push(`Commit ${commit.sha.slice(0, 7)}${commit.branch ? ` on ${commit.branch}` : ''}${commit.dirty ? ' (with uncommitted changes)' : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * SARIF 2.1.0 log for local results
+ */
+function toSarif(results) {
+  const findings = results.files.flatMap((file) => {
+    const { metric, functions } = analyzedRow(file);
+    return sarifResults({ ...metric, functions });
+  });
+  return sarifLog({ commitSha: results.commit?.sha, branch: results.commit?.branch }, findings);
+}
+
+/**
+ * Thresholds the CLI fails on. Each is off when not given.
+ *
+ * @param {Object} results - analyzeLocal results
+ * @param {Object} thresholds
+ * @param {number} [thresholds.maxSevere] - Most severe files allowed
+ * @param {number} [thresholds.maxHigh] - Most files at high or severe allowed
+ * @param {number} [thresholds.maxAverage] - Highest average sprawl score allowed
+ * @param {number} [thresholds.maxScore] - Highest sprawl score allowed for any file
+ * @returns {string[]} One message per exceeded threshold
+ */
+function checkThresholds(results, { maxSevere, maxHigh, maxAverage, maxScore } = {}) {
+  const failures = [];
+  const counts = levelCounts(results);
+
+  if (maxSevere !== undefined && counts.severe > maxSevere) {
+    failures.push(`${counts.severe} severe files (max ${maxSevere})`);
+  }
+  if (maxHigh !== undefined && counts.high + counts.severe > maxHigh) {
+    failures.push(`${counts.high + counts.severe} files at high or severe (max ${maxHigh})`);
+  }
+  if (maxAverage !== undefined && results.summary.averageDebtScore > maxAverage) {
+    failures.push(`Average sprawl score ${round(results.summary.averageDebtScore)} is above ${maxAverage}`);
+  }
+  if (maxScore !== undefined) {
+    const over = rankFiles(results).filter(file => file.sprawlScore > maxScore);
+    if (over.length) {
+      failures.push(`${over.length} files score above ${maxScore} (worst: ${over[0].path} at ${over[0].sprawlScore})`);
+    }
+  }
+
+  return failures;
+}
+
+module.exports = { formatTable, toSarif, checkThresholds };
@@ -0,0 +1,42 @@
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Send analyzeLocal results to a DevDebt server as a completed scan
+ * (POST /scans/:repoId/upload). Needs an API token with scans:write.
+ *
+ * @param {Object} results - analyzeLocal results, or a saved `--format json` file
+ * @param {Object} target
+ * @param {string} target.server - Server base URL
+ * @param {string} target.token - API token (ddt_...)
+ * @param {number} target.repositoryId
+ * @returns {Promise<Object>} Server response: { scanId, status, analyzedFiles, ... }
+ */
+async function uploadResults(results, { server, token, repositoryId }) {
+  const url = `${server.replace(/\/+$/, '')}/scans/${repositoryId}/upload`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(results),
+      signal: AbortSignal.timeout(UPLOAD_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new Error(`Could not reach ${url}: ${error.cause?.message || error.message}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const details = (body?.details || [])
+      .map(issue => `\n  ${(issue.path || []).join('.')}: ${issue.message}`)
+      .join('');
+    throw new Error(`Upload failed (${response.status}): ${body?.error || response.statusText}${details}`);
+  }
+  return body;
+}
+
+module.exports = { uploadResults };
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const os = require('os');
 console.log('--- REDIS CONFIG DEBUG ---');
 console.log('process.env.REDIS_URL:', process.env.REDIS_URL);
 console.log('process.env.REDIS_HOST:', process.env.REDIS_HOST);
@@ -34,8 +35,65 @@ const config = {
     clientId: process.env.GITHUB_CLIENT_ID,
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
     callbackUrl: process.env.GITHUB_CALLBACK_URL,
+    // REST API root; point at a local fake server to test GitHub reporting
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    // Per-request limit, so a stalled API call can't hold a scan job
+    requestTimeoutMs: parseInt(process.env.GITHUB_REQUEST_TIMEOUT_MS || '10000', 10),
+  },
+  scans: {
+    // How often stuck PENDING/RUNNING scans are reconciled (0 disables)
+    reconcileIntervalMs: parseInt(process.env.SCAN_RECONCILE_INTERVAL_MS || '60000', 10),
+    // PENDING scans without a queued job are re-enqueued after this long
+    pendingGraceMs: parseInt(process.env.SCAN_PENDING_GRACE_MS || '120000', 10),
+    // RUNNING scans older than this are failed
+    maxRunningMs: parseInt(process.env.SCAN_MAX_RUNNING_MS || '3600000', 10),
+    // How often a running scan checks whether it was cancelled
+    cancelPollMs: parseInt(process.env.SCAN_CANCEL_POLL_MS || '5000', 10),
+    // Largest body accepted from `devdebt upload` (bytes or e.g. '25mb')
+    uploadMaxSize: process.env.SCAN_UPLOAD_MAX_SIZE || '25mb',
+  },
+  prGate: {
+    // How pull request gate results are reported: 'status' (commit status) or 'check-run' (GitHub App token)
+    reporter: process.env.PR_GATE_REPORTER || 'status',
+    context: process.env.PR_GATE_CONTEXT || 'devdebt/sprawl',
+    // Link shown next to the status, e.g. http://localhost:4200/scans/{scanId}
+    detailsUrl: process.env.PR_GATE_DETAILS_URL || undefined,
   },
   jwtSecret: process.env.JWT_SECRET || 'default_secret',
+  auth: {
+    // Lifetime of the JWTs sent as Bearer tokens; renewed with a refresh token
+    accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10),
+    // Sessions end after this many days without a refresh
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+    // How long the one-time code from the OAuth redirect can be exchanged
+    loginCodeTtlSeconds: parseInt(process.env.LOGIN_CODE_TTL_SECONDS || '60', 10),
+    // How long a single-use ticket for a scan's event stream stays valid
+    streamTicketTtlSeconds: parseInt(process.env.STREAM_TICKET_TTL_SECONDS || '30', 10),
+  },
+  security: {
+    // Key-encryption keys for stored GitHub tokens: "<id>:<base64 32-byte key>,..."
+    tokenEncryptionKeys: process.env.TOKEN_ENCRYPTION_KEYS || '',
+    // Key that new tokens are encrypted with (default: the last one listed)
+    tokenEncryptionKeyId: process.env.TOKEN_ENCRYPTION_KEY_ID || undefined,
+  },
+  analysis: {
+    // Default git history window for scans run in history mode
+    historyDays: parseInt(process.env.HISTORY_DAYS || '90', 10),
+    // How the worker runs the analyzer: 'in-process' or 'docker' (sandboxed)
+    runner: process.env.ANALYZER_RUNNER || 'in-process',
+    // Worker threads for analyzing changed files (in-process runner)
+    threads: parseInt(process.env.ANALYZER_THREADS || String(Math.max(1, os.availableParallelism() - 1)), 10),
+    // Where checkouts go; must be visible to the Docker daemon for the docker runner
+    workDir: process.env.ANALYZER_WORK_DIR || undefined,
+    docker: {
+      image: process.env.ANALYZER_IMAGE || 'devdebt-analyzer:latest',
+      memory: process.env.ANALYZER_MEMORY || '512m',
+      cpus: process.env.ANALYZER_CPUS || '1',
+      pidsLimit: parseInt(process.env.ANALYZER_PIDS_LIMIT || '256', 10),
+      timeoutMs: parseInt(process.env.ANALYZER_TIMEOUT_MS || '600000', 10),
+      maxDiskMb: parseInt(process.env.ANALYZER_MAX_DISK_MB || '1024', 10),
+    },
+  },
 };
 
 module.exports = config;
@@ -1,12 +1,20 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const prisma = require('../prisma');
+const { isApiToken, resolveApiToken } = require('../services/apiTokens');
+const { findActiveSession, redeemStreamTicket } = require('../services/sessions');
 
 /**
  * Middleware to authenticate JWT tokens from Authorization header.
  * Expects: Authorization: Bearer <token>
+ * JWTs are session access tokens: they stop working as soon as their
+ * session is revoked (req.authSession is the session).
+ * Personal API tokens (ddt_...) are accepted too; they set req.apiToken
+ * and are limited to their scopes (see requireScope).
  */
 const authenticateJWT = async (req, res, next) => {
+  // Already authenticated by a stream ticket
+  if (req.streamTicket) return next();
+
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -15,19 +23,35 @@ const authenticateJWT = async (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
 
+  if (isApiToken(token)) {
+    try {
+      const apiToken = await resolveApiToken(token);
+      if (!apiToken) {
+        return res.status(401).json({ error: 'Invalid or expired API token' });
+      }
+
+      req.user = apiToken.user;
+      req.apiToken = apiToken;
+      return next();
+    } catch (error) {
+      console.error('Error verifying API token:', error);
+      return res.status(500).json({ error: 'Failed to verify API token' });
+    }
+  }
+
   try {
     const decoded = jwt.verify(token, config.jwtSecret);
-    
-    // Fetch user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+
+    // Fetch the session with its user; tokens without a session are from before sessions existed
+    const session = decoded.sid ? await findActiveSession(decoded.sid) : null;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired' });
     }
 
+    const { user, ...authSession } = session;
     req.user = user;
+    req.authSession = authSession;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -38,14 +62,48 @@ const authenticateJWT = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for a user
+ * Accept ?ticket=<stream ticket> for a scan's event stream when no
+ * Authorization header is sent (EventSource can't set headers). Tokens are
+ * never taken from the URL. Mount it before authenticateJWT.
+ */
+const allowStreamTicket = async (req, res, next) => {
+  if (req.headers.authorization || typeof req.query.ticket !== 'string') return next();
+
+  try {
+    const auth = await redeemStreamTicket(req.query.ticket, parseInt(req.params.id));
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+    }
+
+    req.user = auth.user;
+    if (auth.apiToken) req.apiToken = auth.apiToken;
+    if (auth.authSession) req.authSession = auth.authSession;
+    req.streamTicket = true;
+    next();
+  } catch (error) {
+    console.error('Error redeeming stream ticket:', error);
+    res.status(500).json({ error: 'Failed to verify stream ticket' });
+  }
+};
+
+/**
+ * Require one of the given scopes when the request uses an API token.
+ * JWT sessions pass through unchanged.
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.apiToken || scopes.some(scope => req.apiToken.scopes.includes(scope))) {
+    return next();
+  }
+  res.status(403).json({ error: 'API token lacks the required scope', required: scopes });
+};
+
+/**
+ * Reject API tokens, for routes only the signed-in user may use
+ * (managing tokens, organizations, GitHub account access)
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, username: user.username },
-    config.jwtSecret,
-    { expiresIn: '7d' }
-  );
+const requireSession = (req, res, next) => {
+  if (!req.apiToken) return next();
+  res.status(403).json({ error: 'This endpoint cannot be used with an API token' });
 };
 
-module.exports = { authenticateJWT, generateToken };
+module.exports = { authenticateJWT, allowStreamTicket, requireScope, requireSession };
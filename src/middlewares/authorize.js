@@ -0,0 +1,139 @@
+const prisma = require('../prisma');
+
+/**
+ * Roles, weakest first. Personal repositories (no organization) give their
+ * user the OWNER role.
+ * - VIEWER: read repositories and scan results
+ * - ADMIN: also trigger/cancel scans, change repository settings, delete repositories,
+ *   invite members
+ * - OWNER: also grant or revoke ownership
+ */
+const ROLES = ['VIEWER', 'ADMIN', 'OWNER'];
+
+const hasRole = (role, minRole) => !!role && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+/**
+ * The user's role in an organization, null if not a member
+ */
+async function getOrganizationRole(userId, organizationId) {
+  const membership = await prisma.membership.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    select: { role: true }
+  });
+  return membership?.role || null;
+}
+
+/**
+ * The user's role on a repository, null when they can't see it
+ */
+async function getRepositoryRole(userId, repository) {
+  if (repository.organizationId) {
+    return getOrganizationRole(userId, repository.organizationId);
+  }
+  return repository.userId === userId ? 'OWNER' : null;
+}
+
+/**
+ * Prisma filter for every repository the user can see
+ */
+function accessibleRepositoriesWhere(userId) {
+  return {
+    OR: [
+      { organizationId: null, userId },
+      { organization: { memberships: { some: { userId } } } }
+    ]
+  };
+}
+
+/**
+ * Shared tail of the middlewares below. Hidden resources are reported as
+ * missing so their existence doesn't leak.
+ */
+function checkRole(res, role, minRole, notFoundMessage) {
+  if (!role) {
+    res.status(404).json({ error: notFoundMessage });
+    return false;
+  }
+  if (!hasRole(role, minRole)) {
+    res.status(403).json({ error: 'Insufficient role', required: minRole, role });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Load the repository in req.params[param] into req.repository (and the
+ * caller's role into req.repositoryRole), requiring at least minRole.
+ */
+const requireRepositoryRole = (minRole, param = 'id') => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params[param]);
+    const repository = Number.isNaN(id) ? null : await prisma.repository.findUnique({ where: { id } });
+    const role = repository ? await getRepositoryRole(req.user.id, repository) : null;
+
+    if (!checkRole(res, role, minRole, 'Repository not found')) return;
+
+    req.repository = repository;
+    req.repositoryRole = role;
+    next();
+  } catch (error) {
+    console.error('Error authorizing repository access:', error);
+    res.status(500).json({ error: 'Failed to authorize request' });
+  }
+};
+
+/**
+ * Load the scan in req.params[param] (with its repository) into req.scan,
+ * requiring at least minRole on the repository.
+ */
+const requireScanRole = (minRole, param = 'id') => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params[param]);
+    const scan = Number.isNaN(id) ? null : await prisma.scan.findUnique({
+      where: { id },
+      include: { repository: true }
+    });
+    const role = scan ? await getRepositoryRole(req.user.id, scan.repository) : null;
+
+    if (!checkRole(res, role, minRole, 'Scan not found')) return;
+
+    req.scan = scan;
+    req.repositoryRole = role;
+    next();
+  } catch (error) {
+    console.error('Error authorizing scan access:', error);
+    res.status(500).json({ error: 'Failed to authorize request' });
+  }
+};
+
+/**
+ * Load the organization in req.params[param] into req.organization (and the
+ * caller's role into req.organizationRole), requiring at least minRole.
+ */
+const requireOrganizationRole = (minRole, param = 'orgId') => async (req, res, next) => {
+  try {
+    const id = parseInt(req.params[param]);
+    const organization = Number.isNaN(id) ? null : await prisma.organization.findUnique({ where: { id } });
+    const role = organization ? await getOrganizationRole(req.user.id, organization.id) : null;
+
+    if (!checkRole(res, role, minRole, 'Organization not found')) return;
+
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    console.error('Error authorizing organization access:', error);
+    res.status(500).json({ error: 'Failed to authorize request' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  getOrganizationRole,
+  getRepositoryRole,
+  accessibleRepositoriesWhere,
+  requireRepositoryRole,
+  requireScanRole,
+  requireOrganizationRole
+};
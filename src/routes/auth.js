@@ -1,6 +1,22 @@
 const express = require('express');
 const passport = require('../services/passport');
-const { generateToken } = require('../middlewares/auth');
+const prisma = require('../prisma');
+const { authenticateJWT, requireSession } = require('../middlewares/auth');
+const {
+  clientInfo,
+  createLoginCode,
+  exchangeLoginCode,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  formatSession
+} = require('../services/sessions');
+const {
+  API_TOKEN_SCOPES,
+  apiTokenInputSchema,
+  createApiToken,
+  formatApiToken
+} = require('../services/apiTokens');
 
 const router = express.Router();
 
@@ -13,32 +29,215 @@ router.get('/github', passport.authenticate('github', {
 // GitHub OAuth - Callback
 router.get('/github/callback', 
   passport.authenticate('github', { failureRedirect: '/login', session: false }),
-  (req, res) => {
-    // Generate JWT for the authenticated user
-    const token = generateToken(req.user);
-    
-    // Redirect to frontend with token as query param
+  async (req, res) => {
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
-    res.redirect(`${frontendUrl}/dashboard?token=${token}`);
+
+    try {
+      // Redirect with a one-time code; the frontend trades it for tokens at POST /auth/token
+      const code = await createLoginCode(req.user.id);
+      res.redirect(`${frontendUrl}/dashboard?code=${encodeURIComponent(code)}`);
+    } catch (error) {
+      console.error('Error creating login code:', error);
+      res.redirect(`${frontendUrl}/login?error=login_failed`);
+    }
   }
 );
 
+/**
+ * POST /auth/token
+ * Exchange the one-time code from the OAuth redirect for a session.
+ * Body: { code, device? } - device is a label shown in GET /auth/sessions
+ * Returns { accessToken, expiresIn, refreshToken, refreshTokenExpiresAt, sessionId }
+ */
+router.post('/token', async (req, res) => {
+  const { code } = req.body || {};
+  if (typeof code !== 'string' || !code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  try {
+    const tokens = await exchangeLoginCode(code, clientInfo(req));
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error exchanging login code:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Trade a refresh token for a new access token and refresh token.
+ * Body: { refreshToken } - the old refresh token stops working
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+
+  try {
+    const { tokens, error } = await refreshSession(refreshToken, clientInfo(req));
+    if (!tokens) {
+      return res.status(401).json({ error });
+    }
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
 // Get current user (protected route)
 router.get('/me', 
-  require('../middlewares/auth').authenticateJWT,
+  authenticateJWT,
   (req, res) => {
     res.json({
       id: req.user.id,
       username: req.user.username,
       displayName: req.user.displayName,
-      avatarUrl: req.user.avatarUrl
+      avatarUrl: req.user.avatarUrl,
+      // Set when called with an API token
+      ...(req.apiToken && {
+        apiToken: {
+          name: req.apiToken.name,
+          scopes: req.apiToken.scopes,
+          expiresAt: req.apiToken.expiresAt
+        }
+      })
     });
   }
 );
 
-// Logout (client-side: just delete the token)
-router.post('/logout', (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
+/**
+ * GET /auth/tokens
+ * The user's personal API tokens (without the secrets) and the available scopes
+ */
+router.get('/tokens', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    const tokens = await prisma.apiToken.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      scopes: API_TOKEN_SCOPES,
+      tokens: tokens.map(formatApiToken)
+    });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
+  }
+});
+
+/**
+ * POST /auth/tokens
+ * Create a personal API token for CI and scripts.
+ * Body: { name, scopes: [...], expiresInDays?: 1-365 (default 30) }
+ * The token is only returned in this response; send it as `Authorization: Bearer <token>`.
+ */
+router.post('/tokens', authenticateJWT, requireSession, async (req, res) => {
+  const input = apiTokenInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid API token', details: input.error.issues });
+  }
+
+  try {
+    const { token, apiToken } = await createApiToken(req.user.id, input.data);
+    res.status(201).json({ ...formatApiToken(apiToken), token });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+/**
+ * DELETE /auth/tokens/:id
+ * Revoke a personal API token
+ */
+router.delete('/tokens/:id', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    const { count } = await prisma.apiToken.deleteMany({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      }
+    });
+
+    if (!count) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    res.json({ success: true, message: 'API token revoked' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke API token' });
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * The user's active sessions; `current` marks the one making the request
+ */
+router.get('/sessions', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json(sessions.map(session => formatSession(session, req.authSession.id)));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * POST /auth/sessions/revoke-all
+ * Sign out everywhere, including this session
+ */
+router.post('/sessions/revoke-all', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:id
+ * Sign out one session (e.g. a lost device)
+ */
+router.delete('/sessions/:id', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeSession(parseInt(req.params.id), req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Revoke the current session; its access and refresh tokens stop working
+ */
+router.post('/logout', authenticateJWT, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.authSession.id, req.user.id);
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
 });
 
 module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
-const { authenticateJWT } = require('../middlewares/auth');
+const { authenticateJWT, requireSession } = require('../middlewares/auth');
+const { revealAccessToken } = require('../services/githubTokens');
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticateJWT);
+// All routes require a signed-in user (API tokens are refused)
+router.use(authenticateJWT, requireSession);
 
 /**
  * GET /github/repos
@@ -12,7 +13,7 @@ router.use(authenticateJWT);
  */
 router.get('/repos', async (req, res) => {
   try {
-    const accessToken = req.user.accessToken;
+    const accessToken = revealAccessToken(req.user);
     
     if (!accessToken) {
       return res.status(401).json({ error: 'No GitHub access token available' });
@@ -67,7 +68,7 @@ router.get('/repos', async (req, res) => {
  */
 router.get('/repos/:owner/:repo', async (req, res) => {
   try {
-    const accessToken = req.user.accessToken;
+    const accessToken = revealAccessToken(req.user);
     const { owner, repo } = req.params;
     
     if (!accessToken) {
@@ -0,0 +1,396 @@
+const express = require('express');
+const { z } = require('zod');
+const prisma = require('../prisma');
+const { authenticateJWT, requireSession } = require('../middlewares/auth');
+const { ROLES, requireOrganizationRole } = require('../middlewares/authorize');
+
+const router = express.Router();
+
+// All routes require a signed-in user (API tokens are refused)
+router.use(authenticateJWT, requireSession);
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+
+const organizationInputSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  slug: z.string().regex(/^[a-z0-9](?:[a-z0-9-]{0,46}[a-z0-9])?$/, { message: 'Slug must be lowercase letters, digits and dashes' }).optional()
+}).strict();
+
+const invitationInputSchema = z.object({
+  // GitHub usernames: alphanumerics and single dashes, up to 39 characters
+  githubUsername: z.string().trim().regex(/^[A-Za-z0-9](?:[A-Za-z0-9-]{0,37}[A-Za-z0-9])?$/, { message: 'Invalid GitHub username' }),
+  role: z.enum(ROLES).default('VIEWER')
+}).strict();
+
+const roleInputSchema = z.object({
+  role: z.enum(ROLES)
+}).strict();
+
+/**
+ * Ownership can only be granted or taken away by owners, and the last
+ * owner can't be demoted or removed. Returns an error message or null.
+ */
+async function checkOwnershipChange(req, membership, newRole) {
+  const touchesOwner = membership.role === 'OWNER' || newRole === 'OWNER';
+  if (!touchesOwner) return null;
+
+  if (req.organizationRole !== 'OWNER') {
+    return 'Only owners can grant or revoke the owner role';
+  }
+
+  if (membership.role === 'OWNER' && newRole !== 'OWNER') {
+    const owners = await prisma.membership.count({
+      where: { organizationId: membership.organizationId, role: 'OWNER' }
+    });
+    if (owners <= 1) return 'An organization needs at least one owner';
+  }
+
+  return null;
+}
+
+/**
+ * GET /organizations
+ * Organizations the user is a member of, with their role
+ */
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.membership.findMany({
+      where: { userId: req.user.id },
+      include: {
+        organization: {
+          include: { _count: { select: { memberships: true, repositories: true } } }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(memberships.map(({ role, organization }) => ({
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      role,
+      memberCount: organization._count.memberships,
+      repositoryCount: organization._count.repositories,
+      createdAt: organization.createdAt
+    })));
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations' });
+  }
+});
+
+/**
+ * POST /organizations
+ * Create an organization; the creator becomes its owner.
+ * Body: { name, slug? } - slug defaults to one derived from the name
+ */
+router.post('/', async (req, res) => {
+  const input = organizationInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid organization', details: input.error.issues });
+  }
+
+  const { name } = input.data;
+  const slug = input.data.slug || slugify(name);
+  if (!slug) {
+    return res.status(400).json({ error: 'Could not derive a slug from the name, provide one' });
+  }
+
+  try {
+    const organization = await prisma.organization.create({
+      data: {
+        name,
+        slug,
+        memberships: {
+          create: { userId: req.user.id, role: 'OWNER' }
+        }
+      }
+    });
+
+    res.status(201).json({ ...organization, role: 'OWNER' });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Organization slug already taken' });
+    }
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+/**
+ * GET /organizations/invitations
+ * Pending invitations for the user's GitHub username
+ */
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await prisma.invitation.findMany({
+      where: { githubUsername: req.user.username.toLowerCase() },
+      include: {
+        organization: { select: { id: true, name: true, slug: true } },
+        invitedBy: { select: { username: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(invitations.map(invitation => ({
+      id: invitation.id,
+      organization: invitation.organization,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy.username,
+      createdAt: invitation.createdAt
+    })));
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * POST /organizations/invitations/:invitationId/accept
+ * Join the organization with the invited role
+ */
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const invitation = await prisma.invitation.findFirst({
+      where: {
+        id: parseInt(req.params.invitationId),
+        githubUsername: req.user.username.toLowerCase()
+      }
+    });
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const [membership] = await prisma.$transaction([
+      prisma.membership.upsert({
+        where: {
+          organizationId_userId: { organizationId: invitation.organizationId, userId: req.user.id }
+        },
+        create: { organizationId: invitation.organizationId, userId: req.user.id, role: invitation.role },
+        update: { role: invitation.role }
+      }),
+      prisma.invitation.delete({ where: { id: invitation.id } })
+    ]);
+
+    res.json({ organizationId: membership.organizationId, role: membership.role });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+/**
+ * DELETE /organizations/invitations/:invitationId
+ * Decline an invitation
+ */
+router.delete('/invitations/:invitationId', async (req, res) => {
+  try {
+    const { count } = await prisma.invitation.deleteMany({
+      where: {
+        id: parseInt(req.params.invitationId),
+        githubUsername: req.user.username.toLowerCase()
+      }
+    });
+
+    if (!count) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+});
+
+/**
+ * GET /organizations/:orgId
+ * Organization with its members; admins also see pending invitations
+ */
+router.get('/:orgId', requireOrganizationRole('VIEWER'), async (req, res) => {
+  try {
+    const { organization, organizationRole } = req;
+    const isAdmin = organizationRole !== 'VIEWER';
+
+    const [memberships, invitations] = await Promise.all([
+      prisma.membership.findMany({
+        where: { organizationId: organization.id },
+        include: { user: { select: { id: true, username: true, displayName: true, avatarUrl: true } } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      isAdmin
+        ? prisma.invitation.findMany({
+          where: { organizationId: organization.id },
+          orderBy: { createdAt: 'desc' }
+        })
+        : null
+    ]);
+
+    res.json({
+      ...organization,
+      role: organizationRole,
+      members: memberships.map(m => ({ ...m.user, role: m.role, joinedAt: m.createdAt })),
+      ...(isAdmin && {
+        invitations: invitations.map(i => ({
+          id: i.id,
+          githubUsername: i.githubUsername,
+          role: i.role,
+          createdAt: i.createdAt
+        }))
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ error: 'Failed to fetch organization' });
+  }
+});
+
+/**
+ * POST /organizations/:orgId/invitations
+ * Invite a GitHub user. Body: { githubUsername, role? } - role defaults to VIEWER.
+ * The invitation waits until a user with that GitHub username accepts it.
+ */
+router.post('/:orgId/invitations', requireOrganizationRole('ADMIN'), async (req, res) => {
+  const input = invitationInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid invitation', details: input.error.issues });
+  }
+
+  const { role } = input.data;
+  const githubUsername = input.data.githubUsername.toLowerCase();
+
+  if (role === 'OWNER' && req.organizationRole !== 'OWNER') {
+    return res.status(403).json({ error: 'Only owners can grant or revoke the owner role' });
+  }
+
+  try {
+    const member = await prisma.membership.findFirst({
+      where: {
+        organizationId: req.organization.id,
+        user: { username: { equals: githubUsername, mode: 'insensitive' } }
+      }
+    });
+
+    if (member) {
+      return res.status(409).json({ error: 'User is already a member' });
+    }
+
+    const invitation = await prisma.invitation.upsert({
+      where: {
+        organizationId_githubUsername: { organizationId: req.organization.id, githubUsername }
+      },
+      create: { organizationId: req.organization.id, githubUsername, role, invitedById: req.user.id },
+      update: { role, invitedById: req.user.id }
+    });
+
+    res.status(201).json({
+      id: invitation.id,
+      githubUsername: invitation.githubUsername,
+      role: invitation.role,
+      createdAt: invitation.createdAt
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+/**
+ * DELETE /organizations/:orgId/invitations/:invitationId
+ * Revoke a pending invitation
+ */
+router.delete('/:orgId/invitations/:invitationId', requireOrganizationRole('ADMIN'), async (req, res) => {
+  try {
+    const { count } = await prisma.invitation.deleteMany({
+      where: {
+        id: parseInt(req.params.invitationId),
+        organizationId: req.organization.id
+      }
+    });
+
+    if (!count) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+/**
+ * PUT /organizations/:orgId/members/:userId
+ * Change a member's role. Body: { role }
+ */
+router.put('/:orgId/members/:userId', requireOrganizationRole('ADMIN'), async (req, res) => {
+  const input = roleInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid role', details: input.error.issues });
+  }
+
+  try {
+    const membership = await prisma.membership.findFirst({
+      where: {
+        organizationId: req.organization.id,
+        userId: parseInt(req.params.userId)
+      }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const denied = await checkOwnershipChange(req, membership, input.data.role);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    const updated = await prisma.membership.update({
+      where: { id: membership.id },
+      data: { role: input.data.role }
+    });
+
+    res.json({ userId: updated.userId, role: updated.role });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ error: 'Failed to update member role' });
+  }
+});
+
+/**
+ * DELETE /organizations/:orgId/members/:userId
+ * Remove a member. Admins remove others; any member can remove themselves.
+ */
+router.delete('/:orgId/members/:userId', requireOrganizationRole('VIEWER'), async (req, res) => {
+  const userId = parseInt(req.params.userId);
+
+  if (userId !== req.user.id && req.organizationRole === 'VIEWER') {
+    return res.status(403).json({ error: 'Insufficient role', required: 'ADMIN', role: req.organizationRole });
+  }
+
+  try {
+    const membership = await prisma.membership.findFirst({
+      where: { organizationId: req.organization.id, userId }
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const denied = await checkOwnershipChange(req, membership, null);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    await prisma.membership.delete({ where: { id: membership.id } });
+
+    res.json({ success: true, message: 'Member removed' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
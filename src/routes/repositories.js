@@ -1,6 +1,30 @@
 const express = require('express');
 const prisma = require('../prisma');
-const { authenticateJWT } = require('../middlewares/auth');
+const { authenticateJWT, requireScope } = require('../middlewares/auth');
+const {
+  DEFAULT_SCORING_PROFILE,
+  scoringProfileSchema,
+  scoringProfileInputSchema,
+  resolveScoringProfile
+} = require('../services/scoringProfile');
+const { compareScans } = require('../services/scanDiff');
+const { trendQuerySchema, getRepositoryTrends, getFileTrend } = require('../services/trends');
+const { generateWebhookSecret } = require('../services/webhooks');
+const { DEFAULT_GATE_RULES, gateRulesInputSchema, resolveGateRules } = require('../services/prGate');
+const {
+  SCHEDULE_PRESETS,
+  scheduleInputSchema,
+  nextRunAt,
+  syncScheduleJob,
+  removeScheduleJob
+} = require('../services/schedules');
+const { isValidRef } = require('../services/git');
+const {
+  hasRole,
+  getOrganizationRole,
+  accessibleRepositoriesWhere,
+  requireRepositoryRole
+} = require('../middlewares/authorize');
 
 const router = express.Router();
 
@@ -8,16 +32,34 @@ const router = express.Router();
 router.use(authenticateJWT);
 
 /**
- * GET /repositories
- * List all repositories for the authenticated user
+ * Repository as returned by the API. The webhook secret is only ever
+ * returned by the webhook endpoints that generate it.
  */
-router.get('/', async (req, res) => {
+const formatRepository = ({ webhookSecret, ...repository }) => ({
+  ...repository,
+  webhookEnabled: !!webhookSecret
+});
+
+/**
+ * GET /repositories?organizationId=
+ * List the user's own repositories and those of their organizations
+ */
+router.get('/', requireScope('repositories:read'), async (req, res) => {
+  const organizationId = req.query.organizationId ? parseInt(req.query.organizationId) : undefined;
+  if (Number.isNaN(organizationId)) {
+    return res.status(400).json({ error: 'organizationId must be an organization ID' });
+  }
+
   try {
     const repositories = await prisma.repository.findMany({
-      where: { userId: req.user.id },
+      where: {
+        ...accessibleRepositoriesWhere(req.user.id),
+        ...(organizationId !== undefined && { organizationId })
+      },
+      include: { organization: { select: { id: true, name: true, slug: true } } },
       orderBy: { createdAt: 'desc' }
     });
-    res.json(repositories);
+    res.json(repositories.map(formatRepository));
   } catch (error) {
     console.error('Error fetching repositories:', error);
     res.status(500).json({ error: 'Failed to fetch repositories' });
@@ -26,16 +68,31 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /repositories
- * Add a new repository to track
+ * Add a new repository to track. With organizationId it's shared with that
+ * organization, which requires the admin role there.
  */
-router.post('/', async (req, res) => {
-  const { githubRepoId, name, fullName, owner, isPrivate, htmlUrl, cloneUrl } = req.body;
+router.post('/', requireScope('repositories:write'), async (req, res) => {
+  const { githubRepoId, name, fullName, owner, isPrivate, htmlUrl, cloneUrl, organizationId } = req.body;
 
   if (!githubRepoId || !name || !fullName || !owner || !htmlUrl || !cloneUrl) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  if (organizationId != null && !Number.isInteger(organizationId)) {
+    return res.status(400).json({ error: 'organizationId must be an organization ID' });
+  }
+
   try {
+    if (organizationId != null) {
+      const role = await getOrganizationRole(req.user.id, organizationId);
+      if (!role) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!hasRole(role, 'ADMIN')) {
+        return res.status(403).json({ error: 'Insufficient role', required: 'ADMIN', role });
+      }
+    }
+
     const repository = await prisma.repository.create({
       data: {
         githubRepoId: String(githubRepoId),
@@ -45,10 +102,11 @@ router.post('/', async (req, res) => {
         private: isPrivate || false,
         htmlUrl,
         cloneUrl,
-        userId: req.user.id
+        userId: req.user.id,
+        organizationId: organizationId ?? null
       }
     });
-    res.status(201).json(repository);
+    res.status(201).json(formatRepository(repository));
   } catch (error) {
     if (error.code === 'P2002') {
       return res.status(409).json({ error: 'Repository already exists' });
@@ -62,49 +120,475 @@ router.post('/', async (req, res) => {
  * GET /repositories/:id
  * Get a specific repository
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('repositories:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  try {
+    const scans = await prisma.scan.findMany({
+      where: { repositoryId: req.repository.id },
+      orderBy: { createdAt: 'desc' },
+      take: 5
+    });
+
+    res.json({ ...formatRepository(req.repository), role: req.repositoryRole, scans });
+  } catch (error) {
+    console.error('Error fetching repository:', error);
+    res.status(500).json({ error: 'Failed to fetch repository' });
+  }
+});
+
+/**
+ * GET /repositories/:id/trends?from=&to=&bucket=day|week|month&top=5
+ * Debt time series, one point per bucket (its latest completed scan)
+ */
+router.get('/:id/trends', requireScope('results:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  const query = trendQuerySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'Invalid query', details: query.error.issues });
+  }
+
+  try {
+    const { repository } = req;
+
+    const series = await getRepositoryTrends(repository.id, query.data);
+
+    res.json({
+      repositoryId: repository.id,
+      bucket: query.data.bucket,
+      from: query.data.from || null,
+      to: query.data.to || null,
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching trends:', error);
+    res.status(500).json({ error: 'Failed to fetch trends' });
+  }
+});
+
+/**
+ * GET /repositories/:id/files/trend?path=<filePath>&from=&to=&bucket=
+ * History of a single file across scans
+ */
+router.get('/:id/files/trend', requireScope('results:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  const { path: filePath, ...rest } = req.query;
+  if (!filePath || typeof filePath !== 'string') {
+    return res.status(400).json({ error: 'Query parameter path is required' });
+  }
+
+  const query = trendQuerySchema.safeParse(rest);
+  if (!query.success) {
+    return res.status(400).json({ error: 'Invalid query', details: query.error.issues });
+  }
+
+  try {
+    const { repository } = req;
+
+    const series = await getFileTrend(repository.id, filePath, query.data);
+
+    res.json({
+      repositoryId: repository.id,
+      filePath,
+      bucket: query.data.bucket,
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching file trend:', error);
+    res.status(500).json({ error: 'Failed to fetch file trend' });
+  }
+});
+
+/**
+ * GET /repositories/:id/scans/compare?base=<scanId>&head=<scanId>
+ * Diff two completed scans of the same repository file by file
+ */
+router.get('/:id/scans/compare', requireScope('results:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  const baseId = parseInt(req.query.base);
+  const headId = parseInt(req.query.head);
+
+  if (Number.isNaN(baseId) || Number.isNaN(headId)) {
+    return res.status(400).json({ error: 'Query parameters base and head must be scan IDs' });
+  }
+
   try {
-    const repository = await prisma.repository.findFirst({
-      where: { 
-        id: parseInt(req.params.id),
-        userId: req.user.id 
+    const { repository } = req;
+
+    const scans = await prisma.scan.findMany({
+      where: {
+        id: { in: [baseId, headId] },
+        repositoryId: repository.id
       },
-      include: {
-        scans: {
-          orderBy: { createdAt: 'desc' },
-          take: 5
-        }
-      }
+      include: { metrics: true }
     });
 
-    if (!repository) {
-      return res.status(404).json({ error: 'Repository not found' });
+    const base = scans.find(s => s.id === baseId);
+    const head = scans.find(s => s.id === headId);
+
+    if (!base || !head) {
+      return res.status(404).json({ error: 'Scan not found' });
     }
 
-    res.json(repository);
+    const incomplete = [base, head].find(s => s.status !== 'COMPLETED');
+    if (incomplete) {
+      return res.status(400).json({ 
+        error: 'Scan not completed',
+        scanId: incomplete.id,
+        status: incomplete.status 
+      });
+    }
+
+    res.json(compareScans(base, base.metrics, head, head.metrics));
   } catch (error) {
-    console.error('Error fetching repository:', error);
-    res.status(500).json({ error: 'Failed to fetch repository' });
+    console.error('Error comparing scans:', error);
+    res.status(500).json({ error: 'Failed to compare scans' });
   }
 });
 
 /**
- * DELETE /repositories/:id
- * Remove a repository from tracking
+ * GET /repositories/:id/scoring-profile
+ * Get the effective sprawl scoring profile for a repository
+ */
+router.get('/:id/scoring-profile', requireScope('repositories:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    res.json({
+      repositoryId: repository.id,
+      isDefault: !repository.scoringProfile,
+      profile: resolveScoringProfile(repository.scoringProfile),
+      defaults: DEFAULT_SCORING_PROFILE
+    });
+  } catch (error) {
+    console.error('Error fetching scoring profile:', error);
+    res.status(500).json({ error: 'Failed to fetch scoring profile' });
+  }
+});
+
+/**
+ * PUT /repositories/:id/scoring-profile
+ * Replace the scoring profile. Omitted fields fall back to the defaults.
+ */
+router.put('/:id/scoring-profile', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  const input = scoringProfileInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid scoring profile', details: input.error.issues });
+  }
+
+  const profile = scoringProfileSchema.safeParse(resolveScoringProfile(input.data));
+  if (!profile.success) {
+    return res.status(400).json({ error: 'Invalid scoring profile', details: profile.error.issues });
+  }
+
+  try {
+    const { repository } = req;
+
+    const updated = await prisma.repository.update({
+      where: { id: repository.id },
+      data: { scoringProfile: profile.data }
+    });
+
+    res.json({
+      repositoryId: updated.id,
+      isDefault: false,
+      profile: updated.scoringProfile
+    });
+  } catch (error) {
+    console.error('Error updating scoring profile:', error);
+    res.status(500).json({ error: 'Failed to update scoring profile' });
+  }
+});
+
+/**
+ * GET /repositories/:id/gate-rules
+ * Get the effective pull request gate rules for a repository
+ */
+router.get('/:id/gate-rules', requireScope('repositories:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    res.json({
+      repositoryId: repository.id,
+      isDefault: !repository.gateRules,
+      rules: resolveGateRules(repository.gateRules),
+      defaults: DEFAULT_GATE_RULES
+    });
+  } catch (error) {
+    console.error('Error fetching gate rules:', error);
+    res.status(500).json({ error: 'Failed to fetch gate rules' });
+  }
+});
+
+/**
+ * PUT /repositories/:id/gate-rules
+ * Replace the gate rules. Omitted fields fall back to the defaults.
  */
-router.delete('/:id', async (req, res) => {
+router.put('/:id/gate-rules', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  const input = gateRulesInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid gate rules', details: input.error.issues });
+  }
+
   try {
-    const repository = await prisma.repository.findFirst({
-      where: { 
-        id: parseInt(req.params.id),
-        userId: req.user.id 
+    const { repository } = req;
+
+    const updated = await prisma.repository.update({
+      where: { id: repository.id },
+      data: { gateRules: resolveGateRules(input.data) }
+    });
+
+    res.json({
+      repositoryId: updated.id,
+      isDefault: false,
+      rules: updated.gateRules
+    });
+  } catch (error) {
+    console.error('Error updating gate rules:', error);
+    res.status(500).json({ error: 'Failed to update gate rules' });
+  }
+});
+
+/**
+ * Schedule as returned by the API
+ */
+const formatSchedule = (schedule) => ({
+  repositoryId: schedule.repositoryId,
+  preset: schedule.preset,
+  cron: schedule.cron,
+  timezone: schedule.timezone,
+  branch: schedule.branch,
+  enabled: schedule.enabled,
+  nextRunAt: nextRunAt(schedule),
+  lastRunAt: schedule.lastRunAt,
+  lastOutcome: schedule.lastOutcome,
+  lastScanId: schedule.lastScanId
+});
+
+/**
+ * GET /repositories/:id/schedule
+ * Get the recurring scan schedule
+ */
+router.get('/:id/schedule', requireScope('repositories:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  try {
+    const schedule = await prisma.scanSchedule.findUnique({
+      where: { repositoryId: req.repository.id }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'No schedule configured', presets: SCHEDULE_PRESETS });
+    }
+
+    res.json(formatSchedule(schedule));
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+/**
+ * PUT /repositories/:id/schedule
+ * Create or replace the recurring scan schedule.
+ * Body: { preset: 'daily'|'weekly' } or { cron }, plus optional timezone, branch, enabled
+ */
+router.put('/:id/schedule', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  const input = scheduleInputSchema.safeParse(req.body);
+  if (!input.success) {
+    return res.status(400).json({ error: 'Invalid schedule', details: input.error.issues });
+  }
+
+  const { preset, cron, timezone, branch, enabled } = input.data;
+  const data = {
+    preset: preset || null,
+    cron: preset ? SCHEDULE_PRESETS[preset] : cron,
+    timezone,
+    branch,
+    enabled
+  };
+
+  try {
+    const { repository } = req;
+
+    const schedule = await prisma.scanSchedule.upsert({
+      where: { repositoryId: repository.id },
+      create: { repositoryId: repository.id, ...data },
+      update: data
+    });
+
+    await syncScheduleJob(schedule);
+
+    res.json(formatSchedule(schedule));
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * DELETE /repositories/:id/schedule
+ * Stop scheduled scans
+ */
+router.delete('/:id/schedule', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    await removeScheduleJob(repository.id);
+    await prisma.scanSchedule.deleteMany({ where: { repositoryId: repository.id } });
+
+    res.json({ success: true, message: 'Schedule removed' });
+  } catch (error) {
+    console.error('Error removing schedule:', error);
+    res.status(500).json({ error: 'Failed to remove schedule' });
+  }
+});
+
+/**
+ * GET /repositories/:id/webhook
+ * Webhook status (the secret itself is only returned when generated)
+ */
+router.get('/:id/webhook', requireScope('repositories:read'), requireRepositoryRole('VIEWER'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    res.json({
+      enabled: !!repository.webhookSecret,
+      trackedBranches: repository.trackedBranches
+    });
+  } catch (error) {
+    console.error('Error fetching webhook settings:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook settings' });
+  }
+});
+
+/**
+ * POST /repositories/:id/webhook
+ * Enable webhooks: generate a secret (if none yet) and optionally set
+ * { trackedBranches: [...] }. Returns the secret to paste into GitHub.
+ */
+router.post('/:id/webhook', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  const { trackedBranches } = req.body || {};
+
+  if (trackedBranches !== undefined &&
+      (!Array.isArray(trackedBranches) || !trackedBranches.every(isValidRef))) {
+    return res.status(400).json({ error: 'trackedBranches must be an array of branch names' });
+  }
+
+  try {
+    const { repository } = req;
+
+    if (repository.webhookSecret && trackedBranches === undefined) {
+      return res.status(409).json({ error: 'Webhook secret already exists, use /webhook/rotate to replace it' });
+    }
+
+    const created = !repository.webhookSecret;
+    const updated = await prisma.repository.update({
+      where: { id: repository.id },
+      data: {
+        ...(created && { webhookSecret: generateWebhookSecret() }),
+        ...(trackedBranches !== undefined && { trackedBranches })
       }
     });
 
-    if (!repository) {
-      return res.status(404).json({ error: 'Repository not found' });
+    res.status(created ? 201 : 200).json({
+      enabled: true,
+      trackedBranches: updated.trackedBranches,
+      // Only shown once, when generated
+      ...(created && { secret: updated.webhookSecret })
+    });
+  } catch (error) {
+    console.error('Error enabling webhook:', error);
+    res.status(500).json({ error: 'Failed to enable webhook' });
+  }
+});
+
+/**
+ * POST /repositories/:id/webhook/rotate
+ * Replace the webhook secret. Deliveries signed with the old one start failing.
+ */
+router.post('/:id/webhook/rotate', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    const updated = await prisma.repository.update({
+      where: { id: repository.id },
+      data: { webhookSecret: generateWebhookSecret() }
+    });
+
+    res.json({
+      enabled: true,
+      trackedBranches: updated.trackedBranches,
+      secret: updated.webhookSecret
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+/**
+ * DELETE /repositories/:id/webhook
+ * Disable webhooks by dropping the secret
+ */
+router.delete('/:id/webhook', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    await prisma.repository.update({
+      where: { id: repository.id },
+      data: { webhookSecret: null }
+    });
+
+    res.json({ success: true, message: 'Webhook disabled' });
+  } catch (error) {
+    console.error('Error disabling webhook:', error);
+    res.status(500).json({ error: 'Failed to disable webhook' });
+  }
+});
+
+/**
+ * PUT /repositories/:id/organization
+ * Move a repository into an organization ({ organizationId }) or make it a
+ * personal repository of the caller ({ organizationId: null }). Needs the
+ * owner role on the repository and the admin role in the target organization.
+ */
+router.put('/:id/organization', requireScope('repositories:write'), requireRepositoryRole('OWNER'), async (req, res) => {
+  const { organizationId } = req.body || {};
+
+  if (organizationId !== null && !Number.isInteger(organizationId)) {
+    return res.status(400).json({ error: 'organizationId must be an organization ID or null' });
+  }
+
+  try {
+    if (organizationId !== null) {
+      const role = await getOrganizationRole(req.user.id, organizationId);
+      if (!role) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!hasRole(role, 'ADMIN')) {
+        return res.status(403).json({ error: 'Insufficient role', required: 'ADMIN', role });
+      }
     }
 
+    const updated = await prisma.repository.update({
+      where: { id: req.repository.id },
+      data: organizationId === null
+        ? { organizationId: null, userId: req.user.id }
+        : { organizationId }
+    });
+
+    res.json(formatRepository(updated));
+  } catch (error) {
+    console.error('Error moving repository:', error);
+    res.status(500).json({ error: 'Failed to move repository' });
+  }
+});
+
+/**
+ * DELETE /repositories/:id
+ * Remove a repository from tracking
+ */
+router.delete('/:id', requireScope('repositories:write'), requireRepositoryRole('ADMIN'), async (req, res) => {
+  try {
+    const { repository } = req;
+
+    // Stop its scheduled scans first; the schedule row goes with the repository
+    await removeScheduleJob(repository.id);
+
     await prisma.repository.delete({
       where: { id: repository.id }
     });
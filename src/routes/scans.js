@@ -1,71 +1,71 @@
 const express = require('express');
 const prisma = require('../prisma');
-const { authenticateJWT } = require('../middlewares/auth');
+const { authenticateJWT, allowStreamTicket, requireScope } = require('../middlewares/auth');
+const { requireRepositoryRole, requireScanRole } = require('../middlewares/authorize');
+const { createScan, cancelScan, retryScan } = require('../services/scans');
+const { isValidRef } = require('../services/git');
+const { subscribeToScanJob } = require('../services/scanEvents');
+const { describeProgress } = require('../services/progress');
+const { EXPORT_FORMATS, exportScan } = require('../services/scanExport');
+const { resultsQuerySchema, queryScanResults } = require('../services/resultsQuery');
+const { treeQuerySchema, buildScanTree } = require('../services/scanTree');
+const { loadDependencyGraph } = require('../services/scanDependencies');
+const { uploadedResultsSchema, storeUploadedScan } = require('../services/scanUpload');
+const { createStreamTicket } = require('../services/sessions');
 const { getScanQueue } = require('../workers/queue');
+const config = require('../config');
+
+const MAX_HISTORY_DAYS = 3650;
+const SSE_HEARTBEAT_MS = 15000;
+const TERMINAL_STATUSES = new Set(['COMPLETED', 'FAILED', 'CANCELLED']);
 
 const router = express.Router();
 
+// EventSource can't set headers, so the progress stream also takes ?ticket=
+router.get('/:id/events', allowStreamTicket);
+
 // All routes require authentication
 router.use(authenticateJWT);
 
 /**
- * POST /repositories/:repoId/scan
- * Trigger a new scan for a repository
+ * POST /scans/:repoId
+ * Trigger a new scan for a repository.
+ * Body:
+ * - ref?: branch, tag or commit SHA - defaults to the default branch
+ * - history?: true to also mine git history for churn/hotspots
+ * - historyDays?: history window in days (implies history)
  */
-router.post('/:repoId', async (req, res) => {
-  const repoId = parseInt(req.params.repoId);
+router.post('/:repoId', requireScope('scans:write'), requireRepositoryRole('ADMIN', 'repoId'), async (req, res) => {
+  const ref = req.body?.ref || null;
 
-  try {
-    // Verify repository ownership
-    const repository = await prisma.repository.findFirst({
-      where: { 
-        id: repoId,
-        userId: req.user.id 
-      }
-    });
+  if (ref && !isValidRef(ref)) {
+    return res.status(400).json({ error: 'Invalid ref' });
+  }
 
-    if (!repository) {
-      return res.status(404).json({ error: 'Repository not found' });
+  let historyDays = null;
+  if (req.body?.historyDays !== undefined) {
+    historyDays = Number(req.body.historyDays);
+    if (!Number.isInteger(historyDays) || historyDays < 1 || historyDays > MAX_HISTORY_DAYS) {
+      return res.status(400).json({ error: `historyDays must be an integer between 1 and ${MAX_HISTORY_DAYS}` });
     }
+  } else if (req.body?.history === true) {
+    historyDays = config.analysis.historyDays;
+  }
 
-    // Create scan record
-    const scan = await prisma.scan.create({
-      data: {
-        repositoryId: repository.id,
-        status: 'PENDING'
-      }
+  try {
+    const scan = await createScan({
+      repository: req.repository,
+      ref,
+      historyDays
     });
 
-    // Add job to queue
-    // We don't await this forever to avoid 504 timeouts if Redis is slow to respond
-    // But we want to ensure it's added before we say it's successful if possible
-    const enqueueTask = getScanQueue().add('scan-repo', {
-      scanId: scan.id,
-      repositoryId: repository.id,
-      cloneUrl: repository.cloneUrl,
-      accessToken: req.user.accessToken
-    });
-
-    // Wait for at most 2 seconds for Redis to respond
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Queue timeout')), 2000)
-    );
-
-    Promise.race([enqueueTask, timeoutPromise])
-      .then(() => {
-        console.log(`Scan ${scan.id} enqueued successfully`);
-      })
-      .catch((err) => {
-        console.error(`Failed to enqueue scan ${scan.id}:`, err.message);
-        // Even if enqueue fails here, we already created the scan record in PENDING state.
-        // The user will see it and we can retry or investigate logs.
-      });
-
     // Return 202 Accepted immediately so Nginx doesn't timeout
     res.status(202).json({
       message: 'Scan triggered',
       scanId: scan.id,
-      status: scan.status
+      status: scan.status,
+      ref: scan.ref,
+      historyDays
     });
   } catch (error) {
     console.error('Error triggering scan:', error);
@@ -74,31 +74,84 @@ router.post('/:repoId', async (req, res) => {
 });
 
 /**
- * GET /scans/:id
- * Get scan status and basic info
+ * POST /scans/:repoId/upload
+ * Store results analyzed locally (`devdebt upload`) as a completed scan.
+ * Body: `devdebt analyze --format json` output
  */
-router.get('/:id', async (req, res) => {
+router.post('/:repoId/upload', requireScope('scans:write'), requireRepositoryRole('ADMIN', 'repoId'), async (req, res) => {
+  const parsed = uploadedResultsSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: 'Invalid scan results',
+      // A bad file list can fail on every entry
+      details: parsed.error.issues.slice(0, 20)
+    });
+  }
+
   try {
-    const scan = await prisma.scan.findFirst({
-      where: { id: parseInt(req.params.id) },
-      include: {
-        repository: {
-          select: { name: true, fullName: true, userId: true }
-        }
-      }
+    const scan = await storeUploadedScan(req.repository, parsed.data);
+
+    res.status(201).json({
+      message: 'Scan uploaded',
+      scanId: scan.id,
+      status: scan.status,
+      commitSha: scan.commitSha,
+      branch: scan.branch,
+      analyzedFiles: scan.analyzedFiles,
+      avgSprawlScore: scan.avgSprawlScore
     });
+  } catch (error) {
+    console.error('Error storing uploaded scan:', error);
+    res.status(500).json({ error: 'Failed to store uploaded scan' });
+  }
+});
 
-    if (!scan || scan.repository.userId !== req.user.id) {
-      return res.status(404).json({ error: 'Scan not found' });
-    }
+/**
+ * GET /scans/:id
+ * Get scan status and basic info
+ */
+router.get('/:id', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const { scan } = req;
 
     res.json({
       id: scan.id,
       status: scan.status,
+      failureReason: scan.failureReason,
+      attempts: scan.attempts,
       repositoryName: scan.repository.fullName,
+      ref: scan.ref,
+      trigger: scan.trigger,
+      pullRequest: scan.prNumber ? {
+        number: scan.prNumber,
+        baseBranch: scan.prBaseBranch,
+        baseSha: scan.prBaseSha,
+        gate: scan.gateResult ? {
+          state: scan.gateResult.state,
+          passed: scan.gateResult.passed,
+          skipped: scan.gateResult.skipped,
+          description: scan.gateResult.description
+        } : null
+      } : null,
+      commit: scan.commitSha ? {
+        sha: scan.commitSha,
+        branch: scan.branch,
+        author: scan.commitAuthor,
+        date: scan.commitDate
+      } : null,
+      cache: scan.cacheHits !== null ? {
+        hits: scan.cacheHits,
+        misses: scan.cacheMisses,
+        baseScanId: scan.cacheBaseScanId
+      } : null,
+      dependencies: scan.dependencyCycles !== null ? {
+        cycles: scan.dependencyCycles,
+        unresolvedImports: scan.unresolvedImports
+      } : null,
       startedAt: scan.startedAt,
       completedAt: scan.completedAt,
-      createdAt: scan.createdAt
+      createdAt: scan.createdAt,
+      appliedConfig: scan.appliedConfig
     });
   } catch (error) {
     console.error('Error fetching scan:', error);
@@ -106,27 +159,366 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /scans/:id/events/ticket
+ * Single-use ticket for opening the event stream from a browser:
+ * `new EventSource(url)`. Tickets expire quickly and don't survive
+ * EventSource's automatic reconnect, so get a new one to reconnect.
+ */
+router.post('/:id/events/ticket', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const ticket = await createStreamTicket(req, req.scan.id);
+
+    res.status(201).json({
+      ticket,
+      expiresIn: config.auth.streamTicketTtlSeconds,
+      url: `${req.baseUrl}/${req.scan.id}/events?ticket=${encodeURIComponent(ticket)}`
+    });
+  } catch (error) {
+    console.error('Error creating stream ticket:', error);
+    res.status(500).json({ error: 'Failed to create stream ticket' });
+  }
+});
+
+/**
+ * GET /scans/:id/events
+ * Server-Sent Events stream of scan progress (Authorization header, or
+ * ?ticket= from POST /scans/:id/events/ticket):
+ * - `progress`: { phase, current, total, percent }
+ * - `completed` / `failed` / `cancelled`: final state, then the stream ends
+ * Every (re)connect starts with the scan's current progress, so clients
+ * that reconnect partway through pick up where the scan is.
+ */
+router.get('/:id/events', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  const { scan } = req;
+  const scanId = scan.id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  let subscribedJobId = null;
+  let unsubscribe = () => {};
+
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const onJobEvent = (event) => {
+    if (event.type === 'progress') {
+      send('progress', { scanId, ...event.data });
+    } else {
+      checkScan().catch(error => console.error(`Error checking scan ${scanId}:`, error.message));
+    }
+  };
+
+  // Follow the scan's current job (retries and the reconciler switch jobs)
+  const follow = (jobId) => {
+    if (!jobId || jobId === subscribedJobId) return;
+    unsubscribe();
+    subscribedJobId = jobId;
+    unsubscribe = subscribeToScanJob(jobId, onJobEvent);
+  };
+
+  // Send the final event and end the stream once the scan is done
+  const checkScan = async () => {
+    const current = await prisma.scan.findUnique({ where: { id: scanId } });
+    if (!current) return close();
+
+    follow(current.jobId);
+    if (!TERMINAL_STATUSES.has(current.status)) return current;
+
+    send(current.status.toLowerCase(), {
+      scanId,
+      status: current.status,
+      failureReason: current.failureReason,
+      completedAt: current.completedAt,
+      totalFiles: current.totalFiles,
+      analyzedFiles: current.analyzedFiles,
+      avgSprawlScore: current.avgSprawlScore
+    });
+    close();
+    return null;
+  };
+
+  // Also re-checks the scan, in case it ended without a job event (reconciler, cancel while queued)
+  const heartbeat = setInterval(() => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    checkScan().catch(error => console.error(`Error checking scan ${scanId}:`, error.message));
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', close);
+
+  try {
+    // Subscribe before reading the current state so no update falls in between
+    follow(scan.jobId);
+    const current = await checkScan();
+    if (!current) return;
+
+    let progress = describeProgress({ phase: 'queued' });
+    if (current.status === 'RUNNING' && current.jobId) {
+      const job = await getScanQueue().getJob(current.jobId);
+      if (job?.progress && typeof job.progress === 'object') progress = job.progress;
+    }
+    send('progress', { scanId, ...progress });
+  } catch (error) {
+    console.error('Error streaming scan events:', error);
+    close();
+  }
+});
+
+/**
+ * POST /scans/:id/cancel
+ * Cancel a PENDING or RUNNING scan
+ */
+router.post('/:id/cancel', requireScope('scans:write'), requireScanRole('ADMIN'), async (req, res) => {
+  try {
+    const { scan } = req;
+
+    const result = await cancelScan(scan);
+    if (!result.cancelled) {
+      return res.status(409).json({ 
+        error: 'Only pending or running scans can be cancelled',
+        status: scan.status 
+      });
+    }
+
+    res.json({
+      scanId: scan.id,
+      status: 'CANCELLED',
+      jobState: result.jobState
+    });
+  } catch (error) {
+    console.error('Error cancelling scan:', error);
+    res.status(500).json({ error: 'Failed to cancel scan' });
+  }
+});
+
+/**
+ * POST /scans/:id/retry
+ * Re-run a FAILED or CANCELLED scan with the same ref and options
+ */
+router.post('/:id/retry', requireScope('scans:write'), requireScanRole('ADMIN'), async (req, res) => {
+  try {
+    const { scan } = req;
+
+    const retried = await retryScan(scan, scan.repository);
+    if (!retried) {
+      return res.status(409).json({ 
+        error: 'Only failed or cancelled scans can be retried',
+        status: scan.status 
+      });
+    }
+
+    res.status(202).json({
+      message: 'Scan retried',
+      scanId: retried.id,
+      status: retried.status,
+      attempts: retried.attempts
+    });
+  } catch (error) {
+    console.error('Error retrying scan:', error);
+    res.status(500).json({ error: 'Failed to retry scan' });
+  }
+});
+
 /**
  * GET /scans/:id/results
- * Get scan results (debt metrics)
+ * Get scan results (debt metrics), one page at a time.
+ * Query:
+ * - limit (1-500, default 100), cursor (nextCursor of the previous page)
+ * - sort: any metric column, filePath or lastModifiedAt (default totalDebtScore); order: asc/desc
+ * - fields: comma-separated columns to return (id is always included)
+ * - sprawlLevel: comma-separated levels; path: path prefix or glob
+ * - min<Field>/max<Field> for any numeric column, e.g. minSprawlScore=1.2
+ * - hasDeepNesting=true|false and the other `details` flags
  */
-router.get('/:id/results', async (req, res) => {
+router.get('/:id/results', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  const query = resultsQuerySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'Invalid query', details: query.error.issues });
+  }
+
   try {
-    const scan = await prisma.scan.findFirst({
-      where: { id: parseInt(req.params.id) },
-      include: {
-        repository: {
-          select: { userId: true }
-        },
-        metrics: {
-          orderBy: { totalDebtScore: 'desc' }
-        }
+    const { scan } = req;
+
+    if (scan.status !== 'COMPLETED') {
+      return res.status(400).json({ 
+        error: 'Scan not completed',
+        status: scan.status 
+      });
+    }
+
+    const page = await queryScanResults(scan.id, query.data);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.json({
+      scanId: scan.id,
+      completedAt: scan.completedAt,
+      scoringProfile: scan.scoringProfile,
+      metrics: page.metrics,
+      pagination: {
+        limit: query.data.limit,
+        sort: query.data.sort,
+        order: query.data.order,
+        nextCursor: page.nextCursor,
+        total: page.total
       }
     });
+  } catch (error) {
+    console.error('Error fetching scan results:', error);
+    res.status(500).json({ error: 'Failed to fetch scan results' });
+  }
+});
+
+/**
+ * GET /scans/:id/tree?path=src/services&depth=2
+ * Directory tree with per-directory rollups (LOC, LOC-weighted sprawl
+ * score, max complexity, files per sprawl level), for treemaps and sunbursts.
+ * Directories below `depth` come back `truncated`; load them with `path`.
+ */
+router.get('/:id/tree', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  const query = treeQuerySchema.safeParse(req.query);
+  if (!query.success) {
+    return res.status(400).json({ error: 'Invalid query', details: query.error.issues });
+  }
 
-    if (!scan || scan.repository.userId !== req.user.id) {
-      return res.status(404).json({ error: 'Scan not found' });
+  try {
+    const { scan } = req;
+
+    if (scan.status !== 'COMPLETED') {
+      return res.status(400).json({
+        error: 'Scan not completed',
+        status: scan.status
+      });
+    }
+
+    const tree = await buildScanTree(scan.id, query.data);
+    if (!tree) {
+      return res.status(404).json({ error: 'Path not found' });
+    }
+
+    res.json({
+      scanId: scan.id,
+      path: query.data.path || '',
+      depth: query.data.depth,
+      tree
+    });
+  } catch (error) {
+    console.error('Error building scan tree:', error);
+    res.status(500).json({ error: 'Failed to build scan tree' });
+  }
+});
+
+/**
+ * GET /scans/:id/dependency-graph
+ * Import graph between the scan's files: nodes with fan-in, fan-out and
+ * instability, edges (source imports target) and import cycles. Imported
+ * files that weren't analyzed (under 5 lines) have null metricId and metrics.
+ */
+router.get('/:id/dependency-graph', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const { scan } = req;
+
+    if (scan.status !== 'COMPLETED') {
+      return res.status(400).json({
+        error: 'Scan not completed',
+        status: scan.status
+      });
+    }
+
+    if (scan.dependencyCycles === null) {
+      return res.status(404).json({ error: 'No dependency graph for this scan, run a new scan' });
+    }
+
+    const graph = await loadDependencyGraph(scan.id);
+
+    res.json({
+      scanId: scan.id,
+      totalNodes: graph.nodes.length,
+      totalEdges: graph.edges.length,
+      unresolvedImports: scan.unresolvedImports,
+      ...graph
+    });
+  } catch (error) {
+    console.error('Error fetching dependency graph:', error);
+    res.status(500).json({ error: 'Failed to fetch dependency graph' });
+  }
+});
+
+/**
+ * GET /scans/:id/export?format=sarif|csv|json
+ * Download scan results. SARIF 2.1.0 is for GitHub code scanning and IDE
+ * viewers; CSV has one row per file. The body is streamed as it's read.
+ */
+router.get('/:id/export', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  const format = req.query.format || 'json';
+  const exportFormat = Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+
+  if (!exportFormat) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      formats: Object.keys(EXPORT_FORMATS)
+    });
+  }
+
+  const { scan } = req;
+  if (scan.status !== 'COMPLETED') {
+    return res.status(400).json({
+      error: 'Scan not completed',
+      status: scan.status
+    });
+  }
+
+  res.set({
+    'Content-Type': exportFormat.contentType,
+    'Content-Disposition': `attachment; filename="devdebt-scan-${scan.id}.${exportFormat.extension}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await exportScan(scan, format, res);
+    res.end();
+  } catch (error) {
+    // Client went away mid-download: nothing left to answer
+    if (res.destroyed) return;
+
+    console.error(`Error exporting scan ${scan.id}:`, error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ error: 'Failed to export scan' });
     }
+    // Part of the file is already sent; cut the connection so it isn't taken as complete
+    res.destroy(error);
+  }
+});
+
+/**
+ * GET /scans/:id/duplicates
+ * Get cross-file clone groups, largest first.
+ * Each group lists every location of the cloned code.
+ * Optional ?file= limits results to groups with a location in that path.
+ */
+router.get('/:id/duplicates', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const { scan } = req;
 
     if (scan.status !== 'COMPLETED') {
       return res.status(400).json({ 
@@ -135,31 +527,156 @@ router.get('/:id/results', async (req, res) => {
       });
     }
 
+    const { file } = req.query;
+    const clones = await prisma.cloneGroup.findMany({
+      where: {
+        scanId: scan.id,
+        ...(file && { locations: { some: { filePath: file } } })
+      },
+      include: {
+        locations: {
+          select: { filePath: true, startLine: true, endLine: true },
+          orderBy: [{ filePath: 'asc' }, { startLine: 'asc' }]
+        }
+      },
+      orderBy: [{ tokenCount: 'desc' }, { id: 'asc' }]
+    });
+
     res.json({
       scanId: scan.id,
-      completedAt: scan.completedAt,
-      metrics: scan.metrics.map(m => ({
+      totalClones: clones.length,
+      clones: clones.map(c => ({
+        tokenCount: c.tokenCount,
+        locations: c.locations
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching duplicates:', error);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+/**
+ * GET /scans/:id/hotspots?limit=20
+ * Files ranked by sprawl x change frequency (scans run in history mode)
+ */
+router.get('/:id/hotspots', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+
+  try {
+    const { scan } = req;
+
+    if (scan.status !== 'COMPLETED') {
+      return res.status(400).json({ 
+        error: 'Scan not completed',
+        status: scan.status 
+      });
+    }
+
+    if (!scan.historyDays) {
+      return res.status(400).json({ error: 'Scan was run without history mode' });
+    }
+
+    const metrics = await prisma.debtMetric.findMany({
+      where: { scanId: scan.id, hotspotScore: { gt: 0 } },
+      orderBy: [{ hotspotScore: 'desc' }, { sprawlScore: 'desc' }],
+      take: limit
+    });
+
+    res.json({
+      scanId: scan.id,
+      historyDays: scan.historyDays,
+      hotspots: metrics.map(m => ({
+        id: m.id,
         filePath: m.filePath,
-        // Sprawl Metrics
-        normalizedLOC: m.normalizedLOC,
-        complexityScore: m.complexityScore,
-        duplicationRatio: m.duplicationRatio,
-        responsibilityScore: m.responsibilityScore,
-        couplingScore: m.couplingScore,
-        // Results
+        hotspotScore: m.hotspotScore,
         sprawlScore: m.sprawlScore,
         sprawlLevel: m.sprawlLevel,
-        // Legacy
         cyclomaticComplexity: m.cyclomaticComplexity,
-        duplicatedLogicScore: m.duplicatedLogicScore,
-        aiEntropyScore: m.aiEntropyScore,
-        totalDebtScore: m.totalDebtScore,
-        details: m.details
+        commitCount: m.commitCount,
+        linesChurned: m.linesChurned,
+        authorCount: m.authorCount,
+        lastModifiedAt: m.lastModifiedAt
       }))
     });
   } catch (error) {
-    console.error('Error fetching scan results:', error);
-    res.status(500).json({ error: 'Failed to fetch scan results' });
+    console.error('Error fetching hotspots:', error);
+    res.status(500).json({ error: 'Failed to fetch hotspots' });
+  }
+});
+
+/**
+ * GET /scans/:id/gate?format=markdown
+ * Pull request gate outcome for a pull_request scan, including the markdown report
+ */
+router.get('/:id/gate', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const { scan } = req;
+
+    if (scan.trigger !== 'pull_request') {
+      return res.status(400).json({ error: 'Scan was not triggered by a pull request' });
+    }
+
+    if (!scan.gateResult) {
+      return res.status(404).json({ error: 'Gate has not run for this scan', status: scan.status });
+    }
+
+    if (req.query.format === 'markdown') {
+      return res.type('text/markdown').send(scan.gateResult.summary);
+    }
+
+    res.json({
+      scanId: scan.id,
+      prNumber: scan.prNumber,
+      baseBranch: scan.prBaseBranch,
+      ...scan.gateResult
+    });
+  } catch (error) {
+    console.error('Error fetching gate result:', error);
+    res.status(500).json({ error: 'Failed to fetch gate result' });
+  }
+});
+
+/**
+ * GET /scans/:id/files/:metricId/functions
+ * Get the per-function breakdown for one file, most complex first
+ */
+router.get('/:id/files/:metricId/functions', requireScope('results:read'), requireScanRole('VIEWER'), async (req, res) => {
+  try {
+    const metric = await prisma.debtMetric.findFirst({
+      where: {
+        id: parseInt(req.params.metricId),
+        scanId: req.scan.id
+      },
+      include: {
+        functions: {
+          orderBy: [{ cyclomaticComplexity: 'desc' }, { loc: 'desc' }]
+        }
+      }
+    });
+
+    if (!metric) {
+      return res.status(404).json({ error: 'File metric not found' });
+    }
+
+    res.json({
+      scanId: metric.scanId,
+      metricId: metric.id,
+      filePath: metric.filePath,
+      sprawlLevel: metric.sprawlLevel,
+      functions: metric.functions.map(fn => ({
+        name: fn.name,
+        startLine: fn.startLine,
+        endLine: fn.endLine,
+        loc: fn.loc,
+        cyclomaticComplexity: fn.cyclomaticComplexity,
+        nestingDepth: fn.nestingDepth,
+        paramCount: fn.paramCount
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching function metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch function metrics' });
   }
 });
 
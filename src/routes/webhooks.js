@@ -0,0 +1,115 @@
+const express = require('express');
+const prisma = require('../prisma');
+const { verifySignature, planScanForEvent } = require('../services/webhooks');
+const { createScan } = require('../services/scans');
+
+const router = express.Router();
+
+/**
+ * Scan already queued for this event: by delivery id (GitHub redeliveries
+ * reuse it), or a PENDING/RUNNING scan of the same commit and trigger (the
+ * delivery header isn't signed, so replays can change it)
+ */
+async function findDuplicateScan(repository, plan, deliveryId) {
+  if (deliveryId) {
+    const delivered = await prisma.scan.findUnique({ where: { deliveryId }, select: { id: true } });
+    if (delivered) return delivered;
+  }
+
+  return prisma.scan.findFirst({
+    where: {
+      repositoryId: repository.id,
+      status: { in: ['PENDING', 'RUNNING'] },
+      ref: plan.ref,
+      trigger: plan.trigger,
+      prNumber: plan.pullRequest?.number ?? null
+    },
+    select: { id: true }
+  });
+}
+
+// Signatures are computed over the exact bytes GitHub sent, so keep the raw body
+router.use(express.raw({ type: '*/*', limit: '5mb' }));
+
+/**
+ * POST /webhooks/github
+ * Receive push / pull_request events and enqueue scans for tracked repositories.
+ * Authenticated by the repository's webhook secret (X-Hub-Signature-256).
+ */
+router.post('/github', async (req, res) => {
+  const event = req.get('X-GitHub-Event');
+  const deliveryId = req.get('X-GitHub-Delivery');
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : null;
+
+  if (!event || !rawBody) {
+    return res.status(400).json({ error: 'Not a GitHub webhook delivery' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf-8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({ error: 'Payload must be a JSON object' });
+  }
+
+  const githubRepoId = payload.repository?.id;
+  if (!githubRepoId) {
+    return res.status(400).json({ error: 'Payload has no repository' });
+  }
+
+  try {
+    const repository = await prisma.repository.findUnique({
+      where: { githubRepoId: String(githubRepoId) }
+    });
+
+    // Same response for unknown repos and bad signatures: don't reveal which repos are tracked
+    if (!repository || !repository.webhookSecret ||
+        !verifySignature(repository.webhookSecret, rawBody, req.get('X-Hub-Signature-256'))) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (event === 'ping') {
+      return res.json({ ok: true, repositoryId: repository.id });
+    }
+
+    const plan = planScanForEvent(event, payload, repository);
+    if (!plan.scan) {
+      console.log(`[Webhook] Delivery ${deliveryId} ignored: ${plan.reason}`);
+      return res.status(202).json({ ignored: true, reason: plan.reason });
+    }
+
+    const duplicate = await findDuplicateScan(repository, plan, deliveryId);
+    if (duplicate) {
+      console.log(`[Webhook] Delivery ${deliveryId} ignored: scan ${duplicate.id} already queued`);
+      return res.status(202).json({ duplicate: true, scanId: duplicate.id });
+    }
+
+    let scan;
+    try {
+      scan = await createScan({
+        repository,
+        ref: plan.ref,
+        branch: plan.branch,
+        trigger: plan.trigger,
+        pullRequest: plan.pullRequest,
+        deliveryId: deliveryId || null
+      });
+    } catch (error) {
+      // The same delivery arrived twice at once
+      if (error.code !== 'P2002') throw error;
+      const delivered = await prisma.scan.findUnique({ where: { deliveryId }, select: { id: true } });
+      return res.status(202).json({ duplicate: true, scanId: delivered?.id ?? null });
+    }
+
+    console.log(`[Webhook] Delivery ${deliveryId} (${event}) queued scan ${scan.id} for ${repository.fullName}@${plan.ref}`);
+    res.status(202).json({ scanId: scan.id, ref: plan.ref, trigger: plan.trigger });
+  } catch (error) {
+    console.error('Error handling GitHub webhook:', error);
+    res.status(500).json({ error: 'Failed to handle webhook' });
+  }
+});
+
+module.exports = router;
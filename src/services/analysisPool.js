@@ -0,0 +1,77 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { analyzeFile } = require('./fileAnalysis');
+
+// Below this many files per thread, spinning up threads costs more than it saves
+const MIN_FILES_PER_THREAD = 100;
+
+// Inline mode: yield to the event loop this often so progress goes out
+const YIELD_EVERY_FILES = 10;
+
+/**
+ * Run analyzeFile over a batch of files, spread across worker threads when
+ * the batch is big enough.
+ *
+ * @param {Array<{ file, content, crossFileDuplication, scoringProfile }>} tasks
+ * @param {Object} [options]
+ * @param {number} [options.threads] - Max worker threads (1 = analyze inline)
+ * @param {Function} [options.onFileDone] - Called after each file with the number done so far
+ * @returns {Promise<Array<Object|null>>} analyzeFile result per task, null for skipped/failed files
+ */
+async function analyzeFiles(tasks, options = {}) {
+    const { threads = 1, onFileDone = () => {} } = options;
+    const threadCount = Math.min(threads, Math.floor(tasks.length / MIN_FILES_PER_THREAD));
+
+    if (threadCount <= 1) {
+        return analyzeInline(tasks, onFileDone);
+    }
+
+    // Round-robin so each thread gets a similar mix of file sizes
+    const chunks = Array.from({ length: threadCount }, () => []);
+    tasks.forEach((task, index) => chunks[index % threadCount].push({ index, ...task }));
+
+    const results = new Array(tasks.length).fill(null);
+    let done = 0;
+
+    await Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'analysisThread.js'), {
+            workerData: { tasks: chunk }
+        });
+
+        worker.on('message', ({ index, result, error }) => {
+            if (error) console.error(`[Analyzer] Failed to analyze ${tasks[index].file}: ${error}`);
+            results[index] = result;
+            onFileDone(++done);
+        });
+        worker.on('error', reject);
+        worker.on('exit', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`Analysis thread exited with code ${code}`));
+        });
+    })));
+
+    return results;
+}
+
+async function analyzeInline(tasks, onFileDone) {
+    const results = [];
+
+    for (const [index, task] of tasks.entries()) {
+        if (index > 0 && index % YIELD_EVERY_FILES === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        let result = null;
+        try {
+            result = analyzeFile(task.content, task.file, task);
+        } catch (e) {
+            console.error(`[Analyzer] Failed to analyze ${task.file}: ${e.message}`);
+        }
+        results.push(result);
+        onFileDone(index + 1);
+    }
+
+    return results;
+}
+
+module.exports = { analyzeFiles };
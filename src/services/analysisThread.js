@@ -0,0 +1,14 @@
+/**
+ * Worker thread entry for analysisPool: analyzes its share of the files and
+ * posts one message per file back to the pool.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeFile } = require('./fileAnalysis');
+
+for (const task of workerData.tasks) {
+    try {
+        parentPort.postMessage({ index: task.index, result: analyzeFile(task.content, task.file, task) });
+    } catch (e) {
+        parentPort.postMessage({ index: task.index, result: null, error: e.message });
+    }
+}
@@ -1,90 +1,49 @@
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { glob } = require('glob');
-const acorn = require('acorn');
-const walk = require('acorn-walk');
 const os = require('os');
+const { detectClones } = require('./duplicates');
+const { buildDependencyGraph, summarizeGraph } = require('./dependencyGraph');
+const { resolveScoringProfile } = require('./scoringProfile');
+const {
+    DEFAULT_INCLUDE,
+    loadRepoConfig,
+    createConfigRules,
+    isIncluded,
+    isFileSuppressed
+} = require('./repoConfig');
+const { checkoutRepository } = require('./git');
+const { readChurn, applyHotspots } = require('./churn');
+const { analyzeFiles } = require('./analysisPool');
+const { ANALYZER_VERSION } = require('./fileAnalysis');
 
 /**
  * Analyze a repository locally
  * 
  * @param {string} cloneUrl - Git clone URL
- * @param {string} accessToken - GitHub access token
+ * @param {string} accessToken - GitHub access token (sent as a header, never put in the URL)
+ * @param {Object} [options]
+ * @param {Object} [options.scoringProfile] - Weights and thresholds for the sprawl formula
+ * @param {string} [options.ref] - Branch, tag or commit SHA (default branch when omitted)
+ * @param {number} [options.historyDays] - History mode: fetch and mine this many days of git log
+ * @param {Function} [options.onProgress] - Called with { phase, current, total } as the scan advances
  * @returns {Promise<Object>} Analysis results
  */
-async function analyzeRepo(cloneUrl, accessToken) {
-    const workDir = path.join(os.tmpdir(), `devdebt-${Date.now()}`);
-
-    // Build authenticated clone URL for private repos
-    const authCloneUrl = accessToken
-        ? cloneUrl.replace('https://', `https://${accessToken}@`)
-        : cloneUrl;
+async function analyzeRepo(cloneUrl, accessToken, options = {}) {
+    const since = historySince(options.historyDays);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devdebt-'));
 
     try {
-        // 1. Clone repository
-        console.log(`[Analyzer] Cloning repository into ${workDir}...`);
-        execSync(`git clone --depth 1 ${authCloneUrl} ${workDir}`, {
-            stdio: 'pipe',
-            timeout: 120000
-        });
-
-        // 2. Find JavaScript/TypeScript files
-        const files = await glob('**/*.{js,ts,jsx,tsx}', {
-            cwd: workDir,
-            ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/*.min.js']
-        });
-
-        console.log(`[Analyzer] Found ${files.length} files to analyze`);
-
-        // 3. Run cloc
-        let clocData = {};
-        try {
-            const clocOutput = execSync(`cloc ${workDir} --json`, { encoding: 'utf-8' });
-            clocData = JSON.parse(clocOutput);
-        } catch (e) {
-            console.warn('[Analyzer] cloc failed, continuing without LOC data');
-        }
-
-        // 4. Analyze each file
-        const results = {
-            summary: {
-                totalFiles: files.length,
-                analyzedFiles: 0,
-                averageComplexity: 0,
-                averageDebtScore: 0
-            },
-            files: []
-        };
-
-        let totalComplexity = 0;
-        let totalDebt = 0;
+        // Clone repository at the requested ref
+        options.onProgress?.({ phase: 'cloning' });
+        console.log(`[Analyzer] Cloning repository into ${workDir}${options.ref ? ` at ${options.ref}` : ''}...`);
+        const commit = checkoutRepository(cloneUrl, workDir, { ref: options.ref, since, accessToken });
+        console.log(`[Analyzer] Checked out ${commit.sha}${commit.branch ? ` (${commit.branch})` : ''}`);
 
-        for (const file of files) {
-            try {
-                const filePath = path.join(workDir, file);
-                const content = fs.readFileSync(filePath, 'utf-8');
-
-                const metrics = analyzeFile(content, file);
-
-                if (metrics) {
-                    results.files.push(metrics);
-                    results.summary.analyzedFiles++;
-                    totalComplexity += metrics.cyclomaticComplexity;
-                    totalDebt += metrics.totalDebtScore;
-                }
-            } catch (e) {
-                console.error(`[Analyzer] Failed to analyze ${file}: ${e.message}`);
-            }
-        }
-
-        // Calculate averages
-        if (results.summary.analyzedFiles > 0) {
-            results.summary.averageComplexity = totalComplexity / results.summary.analyzedFiles;
-            results.summary.averageDebtScore = totalDebt / results.summary.analyzedFiles;
-        }
-
-        return results;
+        const results = await analyzeDirectory(workDir, { ...options, since });
+        return { ...results, commit };
 
     } finally {
         // Cleanup work directory
@@ -100,245 +59,196 @@ async function analyzeRepo(cloneUrl, accessToken) {
 }
 
 /**
- * Analyze a single file using Sprawl Detection Formula
+ * Start of the history-mode window, or null when history mode is off
  */
-function analyzeFile(content, filePath) {
-    const lines = content.split('\n');
-    const loc = lines.length;
-
-    if (loc < 5) return null;
-
-    let ast = null;
-    try {
-        ast = acorn.parse(content, {
-            ecmaVersion: 'latest',
-            sourceType: 'module',
-            locations: true
-        });
-    } catch (e) {
-        // Fallback if AST parsing fails
-    }
-
-    const weights = {
-        size: 0.25,
-        complexity: 0.30,
-        duplication: 0.20,
-        responsibility: 0.15,
-        coupling: 0.10
-    };
+function historySince(historyDays) {
+    return historyDays
+        ? new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000)
+        : null;
+}
 
-    const IDEAL_LOC = 30;
-    const normalizedLOC = loc / IDEAL_LOC;
+/**
+ * Analyze a repository that is already on disk. This is everything
+ * analyzeRepo does after cloning; runners and the CLI call it directly.
+ *
+ * @param {string} rootDir - Repository root
+ * @param {Object} [options]
+ * @param {Object} [options.scoringProfile] - Weights and thresholds for the sprawl formula
+ * @param {number} [options.historyDays] - History mode window in days (needs a .git directory)
+ * @param {Date} [options.since] - Explicit start of the history window
+ * @param {Function} [options.onProgress] - Called with { phase, current, total } as the scan advances
+ * @param {Object} [options.previous] - Incremental scans: { [path]: { contentHash, sprawlScore,
+ *   totalDebtScore, cyclomaticComplexity, suppressedFunctions } } from the previous scan
+ * @param {number} [options.threads] - Worker threads for analyzing changed files
+ * @returns {Promise<Object>} Analysis results; reused files come back as { path, cached: true, ... }
+ */
+async function analyzeDirectory(rootDir, options = {}) {
+    const scoringProfile = resolveScoringProfile(options.scoringProfile);
+    const since = options.since ? new Date(options.since) : historySince(options.historyDays);
+    const onProgress = options.onProgress || (() => {});
 
-    const cyclomaticComplexity = ast
-        ? calculateComplexityAST(ast)
-        : calculateComplexityRegex(content);
+    onProgress({ phase: 'discovering' });
 
-    const CC_MAX = 10;
-    const complexityScore = cyclomaticComplexity / CC_MAX;
+    // 1. Load optional .devdebt.yml / .devdebt.json
+    const { applied: appliedConfig, profileFor } = createConfigRules(loadRepoConfig(rootDir), scoringProfile);
+    if (appliedConfig.source) {
+        console.log(`[Analyzer] Using ${appliedConfig.source}`);
+    }
+    for (const configError of appliedConfig.errors) {
+        console.warn(`[Analyzer] Config: ${configError}`);
+    }
 
-    const duplicationRatio = calculateDuplicationRatio(content);
+    // 2. Find JavaScript/TypeScript files, honoring include/exclude and ignore-file comments
+    const discovered = await glob(DEFAULT_INCLUDE, {
+        cwd: rootDir,
+        ignore: appliedConfig.exclude
+    });
 
-    const responsibilityScore = ast
-        ? calculateResponsibilityAST(ast)
-        : calculateResponsibilityRegex(content);
+    const files = discovered.filter((file) => {
+        if (!isIncluded(file, appliedConfig.include)) return false;
+        try {
+            if (isFileSuppressed(fs.readFileSync(path.join(rootDir, file), 'utf-8'))) {
+                appliedConfig.suppressedFiles.push(file);
+                return false;
+            }
+        } catch (e) {
+            // Unreadable files are reported by the analysis loop
+        }
+        return true;
+    });
 
-    const couplingScore = ast
-        ? calculateCouplingAST(ast)
-        : calculateCouplingRegex(content);
+    console.log(`[Analyzer] Found ${files.length} files to analyze`);
 
-    const sprawlScore = (
-        (weights.size * normalizedLOC) +
-        (weights.complexity * complexityScore) +
-        (weights.duplication * duplicationRatio) +
-        (weights.responsibility * responsibilityScore) +
-        (weights.coupling * couplingScore)
-    );
+    // 3. Run cloc
+    let clocData = {};
+    try {
+        const clocOutput = execFileSync('cloc', [rootDir, '--json'], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+        clocData = JSON.parse(clocOutput);
+    } catch (e) {
+        console.warn('[Analyzer] cloc failed, continuing without LOC data');
+    }
 
-    const aiEntropyFactor = calculateAIEntropyFactor(content);
-    const adjustedSprawlScore = sprawlScore * (1 + aiEntropyFactor);
+    // 4. Detect copy-paste across files
+    onProgress({ phase: 'analyzing', current: 0, total: files.length });
+    const { clones, ratios: crossFileRatios } = detectClones(rootDir, files);
+    console.log(`[Analyzer] Found ${clones.length} cross-file clone groups`);
+
+    // Resolve imports between the analyzed files; fan-out feeds the coupling term
+    const { edges, unresolvedImports } = buildDependencyGraph(rootDir, files);
+    const { nodes: graphNodes, cycles } = summarizeGraph(files, edges);
+    console.log(`[Analyzer] Resolved ${edges.length} imports, found ${cycles.length} import cycles`);
+
+    // 5. Analyze each file, reusing the previous scan's results for files whose hash matches
+    const results = {
+        summary: {
+            totalFiles: files.length,
+            analyzedFiles: 0,
+            averageComplexity: 0,
+            averageDebtScore: 0,
+            cloneCount: clones.length,
+            dependencyCycles: cycles.length,
+            cacheHits: 0,
+            cacheMisses: 0
+        },
+        files: [],
+        clones,
+        dependencies: { edges, cycles, unresolvedImports },
+        config: appliedConfig
+    };
 
-    let sprawlLevel;
-    if (adjustedSprawlScore < 0.8) sprawlLevel = 'clean';
-    else if (adjustedSprawlScore < 1.2) sprawlLevel = 'mild';
-    else if (adjustedSprawlScore < 1.6) sprawlLevel = 'high';
-    else sprawlLevel = 'severe';
+    let totalComplexity = 0;
+    let totalDebt = 0;
 
-    return {
-        path: filePath,
-        loc,
-        metrics: {
-            normalizedLOC: Math.round(normalizedLOC * 100) / 100,
-            complexityScore: Math.round(complexityScore * 100) / 100,
-            duplicationRatio: Math.round(duplicationRatio * 100) / 100,
-            responsibilityScore: Math.round(responsibilityScore * 100) / 100,
-            couplingScore: Math.round(couplingScore * 100) / 100,
-            aiEntropyFactor: Math.round(aiEntropyFactor * 100) / 100
-        },
-        cyclomaticComplexity: Math.round(cyclomaticComplexity * 100) / 100,
-        duplicatedLogicScore: Math.round(duplicationRatio * 100),
-        aiEntropyScore: Math.round(aiEntropyFactor * 100),
-        totalDebtScore: Math.round(adjustedSprawlScore * 100) / 100,
-        sprawlScore: Math.round(adjustedSprawlScore * 100) / 100,
-        sprawlLevel,
-        details: {
-            hasLongFunctions: loc > 50,
-            hasDeepNesting: hasDeepNesting(content),
-            hasRepetitivePatterns: duplicationRatio > 0.1,
-            hasHighCoupling: couplingScore > 1.0,
-            hasTooManyResponsibilities: responsibilityScore > 1.5
+    const addResult = (metrics, suppressedFunctions) => {
+        for (const fn of suppressedFunctions) {
+            appliedConfig.suppressedFunctions.push({ file: metrics.path, ...fn });
         }
+        results.files.push(metrics);
+        results.summary.analyzedFiles++;
+        totalComplexity += metrics.cyclomaticComplexity;
+        totalDebt += metrics.totalDebtScore;
     };
-}
 
-function calculateComplexityAST(ast) {
-    let complexity = 1;
-    walk.simple(ast, {
-        IfStatement: () => complexity++,
-        ForStatement: () => complexity++,
-        ForInStatement: () => complexity++,
-        ForOfStatement: () => complexity++,
-        WhileStatement: () => complexity++,
-        DoWhileStatement: () => complexity++,
-        SwitchCase: (node) => { if (node.test) complexity++; },
-        ConditionalExpression: () => complexity++,
-        LogicalExpression: (node) => {
-            if (node.operator === '||' || node.operator === '&&') complexity++;
-        }
-    });
-    return complexity;
-}
+    const previous = options.previous || {};
+    const tasks = [];
 
-function calculateResponsibilityAST(ast) {
-    const IDEAL_RESPONSIBILITIES = 2;
-    let responsibilities = 0;
-    walk.simple(ast, {
-        FunctionDeclaration: () => responsibilities += 0.5,
-        FunctionExpression: () => responsibilities += 0.5,
-        ArrowFunctionExpression: () => responsibilities += 0.5,
-        ClassDeclaration: () => responsibilities += 1.0,
-        MethodDefinition: () => responsibilities += 0.3,
-        AssignmentExpression: (node) => {
-            if (node.left.type === 'MemberExpression' && node.left.object.type === 'ThisExpression') {
-                responsibilities += 0.2;
-            }
+    for (const file of files) {
+        let content;
+        try {
+            content = fs.readFileSync(path.join(rootDir, file), 'utf-8');
+        } catch (e) {
+            console.error(`[Analyzer] Failed to analyze ${file}: ${e.message}`);
+            continue;
         }
-    });
-    return Math.max(1, responsibilities) / IDEAL_RESPONSIBILITIES;
-}
 
-function calculateCouplingAST(ast) {
-    const MAX_ALLOWED_DEPENDENCIES = 5;
-    let dependencies = 0;
-    walk.simple(ast, {
-        ImportDeclaration: () => dependencies++,
-        CallExpression: (node) => {
-            if (node.callee.name === 'require') dependencies++;
+        const crossFileDuplication = crossFileRatios.get(file) || 0;
+        const fanOut = graphNodes.get(file).fanOut;
+        const scoringProfile = profileFor(file);
+        const contentHash = hashFileInput(content, { crossFileDuplication, fanOut, scoringProfile });
+
+        const cached = previous[file];
+        if (cached && cached.contentHash === contentHash) {
+            results.summary.cacheHits++;
+            addResult({
+                path: file,
+                cached: true,
+                contentHash,
+                cyclomaticComplexity: cached.cyclomaticComplexity,
+                totalDebtScore: cached.totalDebtScore,
+                sprawlScore: cached.sprawlScore
+            }, cached.suppressedFunctions || []);
+            continue;
         }
-    });
-    return dependencies / MAX_ALLOWED_DEPENDENCIES;
-}
-
-function calculateComplexityRegex(content) {
-    const patterns = [/\bif\b/g, /\belse\s+if\b/g, /\bfor\b/g, /\bwhile\b/g, /\bcase\b/g, /\bcatch\b/g, /\?\s*.*\s*:/g, /&&/g, /\|\|/g];
-    let complexity = 1;
-    for (const pattern of patterns) {
-        const matches = content.match(pattern);
-        if (matches) complexity += matches.length;
-    }
-    return complexity;
-}
 
-function calculateResponsibilityRegex(content) {
-    const IDEAL_RESPONSIBILITIES = 2;
-    let responsibilities = 0;
-    const functionDefs = content.match(/function\s+\w+|const\s+\w+\s*=\s*(?:async\s*)?\([^)]*\)\s*=>/g) || [];
-    responsibilities += functionDefs.length * 0.5;
-    const httpPatterns = content.match(/\.(get|post|put|delete|patch)\s*\(/gi) || [];
-    responsibilities += httpPatterns.length * 0.3;
-    const statePatterns = content.match(/\.set\s*\(|setState|\.update\s*\(|\.push\s*\(|\.splice\s*\(/gi) || [];
-    responsibilities += statePatterns.length * 0.2;
-    return Math.max(1, responsibilities) / IDEAL_RESPONSIBILITIES;
-}
-
-function calculateCouplingRegex(content) {
-    const MAX_ALLOWED_DEPENDENCIES = 5;
-    const importMatches = content.match(/^import\s+.*from\s+['"]/gm) || [];
-    const requireMatches = content.match(/require\s*\(\s*['"]/g) || [];
-    return (importMatches.length + requireMatches.length) / MAX_ALLOWED_DEPENDENCIES;
-}
-
-function calculateDuplicationRatio(content) {
-    const lines = content.split('\n')
-        .map(l => l.trim())
-        .filter(l => l.length > 10 && !l.startsWith('//') && !l.startsWith('*') && !l.startsWith('import'));
-
-    if (lines.length === 0) return 0;
-
-    const lineFrequency = {};
-    for (const line of lines) {
-        const normalized = line.replace(/\s+/g, ' ');
-        lineFrequency[normalized] = (lineFrequency[normalized] || 0) + 1;
+        results.summary.cacheMisses++;
+        tasks.push({ file, content, contentHash, crossFileDuplication, fanOut, scoringProfile });
     }
 
-    let duplicatedLines = 0;
-    for (const count of Object.values(lineFrequency)) {
-        if (count > 1) duplicatedLines += count - 1;
+    if (results.summary.cacheHits) {
+        console.log(`[Analyzer] Reusing ${results.summary.cacheHits} unchanged files, analyzing ${tasks.length}`);
     }
 
-    return duplicatedLines / lines.length;
-}
-
-function calculateAIEntropyFactor(content) {
-    const loc = content.split('\n').length;
-    if (loc === 0) return 0;
+    const hits = results.summary.cacheHits;
+    const analyzed = await analyzeFiles(tasks, {
+        threads: options.threads,
+        onFileDone: (done) => onProgress({ phase: 'analyzing', current: hits + done, total: files.length })
+    });
 
-    const aiPatterns = [
-        /TODO:?\s*(implement|add|fix|handle)/gi,
-        /\/\/\s*\.\.\./g,
-        /console\.log\(['"](debug|test|here)/gi,
-        /\bany\b/g,
-        /\/\*\*[\s\S]*?\*\//g,
-        /throw new Error\(['"]Not implemented/gi,
-        /\/\/\s*eslint-disable/gi,
-    ];
+    analyzed.forEach((metrics, index) => {
+        if (!metrics) return;
+        const { suppressedFunctions, ...fileMetrics } = metrics;
+        addResult({ ...fileMetrics, contentHash: tasks[index].contentHash }, suppressedFunctions);
+    });
 
-    let patternCount = 0;
-    for (const pattern of aiPatterns) {
-        const matches = content.match(pattern);
-        if (matches) patternCount += matches.length;
+    // Calculate averages
+    if (results.summary.analyzedFiles > 0) {
+        results.summary.averageComplexity = totalComplexity / results.summary.analyzedFiles;
+        results.summary.averageDebtScore = totalDebt / results.summary.analyzedFiles;
     }
 
-    const functionSignatures = content.match(/function\s+\w+\s*\([^)]*\)/g) || [];
-    const arrowFunctions = content.match(/const\s+\w+\s*=\s*\([^)]*\)\s*=>/g) || [];
-    const allSignatures = [...functionSignatures, ...arrowFunctions];
-
-    const signaturePatterns = {};
-    for (const sig of allSignatures) {
-        const params = sig.match(/\([^)]*\)/)?.[0] || '';
-        const paramCount = (params.match(/,/g) || []).length + (params.length > 2 ? 1 : 0);
-        const pattern = `params_${paramCount}`;
-        signaturePatterns[pattern] = (signaturePatterns[pattern] || 0) + 1;
-    }
+    onProgress({ phase: 'analyzing', current: files.length, total: files.length });
 
-    let signatureSimilarity = 0;
-    const values = Object.values(signaturePatterns);
-    if (values.length > 0 && allSignatures.length > 3) {
-        const max = Math.max(...values);
-        signatureSimilarity = (max / allSignatures.length) * 0.3;
+    // 6. History mode: churn per file and hotspot ranking
+    if (since) {
+        onProgress({ phase: 'history' });
+        const churn = readChurn(rootDir, since);
+        applyHotspots(results.files, churn);
+        results.history = { days: options.historyDays, since };
+        console.log(`[Analyzer] Read churn for ${churn.size} files since ${since.toISOString()}`);
     }
 
-    const unusedRatio = (patternCount / loc) * 0.5;
-    return Math.min(0.5, unusedRatio + signatureSimilarity);
+    return results;
 }
 
-function hasDeepNesting(content) {
-    const lines = content.split('\n');
-    for (const line of lines) {
-        const indent = line.match(/^(\s*)/)?.[1]?.length || 0;
-        if (indent > 16) return true;
-    }
-    return false;
+/**
+ * Cache key for a file's analysis: everything analyzeFile's output depends on
+ * (analyzer version, scoring profile, cross-file duplication, fan-out, content)
+ */
+function hashFileInput(content, { crossFileDuplication, fanOut, scoringProfile }) {
+    return crypto.createHash('sha256')
+        .update(`${ANALYZER_VERSION}\0${JSON.stringify(scoringProfile)}\0${crossFileDuplication}\0${fanOut}\0`)
+        .update(content)
+        .digest('hex');
 }
 
-module.exports = { analyzeRepo };
+module.exports = { analyzeRepo, analyzeDirectory };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const prisma = require('../prisma');
+
+// Marks API tokens apart from JWTs in the Authorization header
+const API_TOKEN_PREFIX = 'ddt_';
+
+/**
+ * What an API token may do. Browser sessions (JWTs) may do everything.
+ */
+const API_TOKEN_SCOPES = {
+    'repositories:read': 'List repositories and read their settings',
+    'repositories:write': 'Add, configure and delete repositories',
+    'scans:write': 'Trigger, cancel and retry scans',
+    'results:read': 'Read scan status, results, trends and comparisons'
+};
+
+const MAX_EXPIRY_DAYS = 365;
+
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * POST /auth/tokens body
+ */
+const apiTokenInputSchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    scopes: z.array(z.enum(Object.keys(API_TOKEN_SCOPES))).min(1),
+    expiresInDays: z.number().int().min(1).max(MAX_EXPIRY_DAYS).default(30)
+}).strict();
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Create a token for a user. The plaintext is only returned here; the
+ * database keeps its hash.
+ *
+ * @param {number} userId
+ * @param {{ name: string, scopes: string[], expiresInDays: number }} input
+ * @returns {Promise<{ token: string, apiToken: Object }>}
+ */
+async function createApiToken(userId, { name, scopes, expiresInDays }) {
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const apiToken = await prisma.apiToken.create({
+        data: {
+            userId,
+            name,
+            scopes: [...new Set(scopes)],
+            tokenHash: hashApiToken(token),
+            tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        }
+    });
+
+    return { token, apiToken };
+}
+
+/**
+ * Look up an unexpired token and its user, recording the use
+ *
+ * @param {string} token - Plaintext token from the Authorization header
+ * @returns {Promise<Object|null>} ApiToken with `user`, null when unknown or expired
+ */
+async function resolveApiToken(token) {
+    const apiToken = await prisma.apiToken.findUnique({
+        where: { tokenHash: hashApiToken(token) },
+        include: { user: true }
+    });
+
+    if (!apiToken || apiToken.expiresAt <= new Date()) return null;
+
+    const now = new Date();
+    if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+        prisma.apiToken.update({ where: { id: apiToken.id }, data: { lastUsedAt: now } })
+            .catch(error => console.error(`[Auth] Failed to record use of API token ${apiToken.id}:`, error.message));
+    }
+
+    return apiToken;
+}
+
+/**
+ * Token as returned by the API (never the hash)
+ */
+const formatApiToken = (apiToken) => ({
+    id: apiToken.id,
+    name: apiToken.name,
+    tokenPrefix: apiToken.tokenPrefix,
+    scopes: apiToken.scopes,
+    expiresAt: apiToken.expiresAt,
+    lastUsedAt: apiToken.lastUsedAt,
+    createdAt: apiToken.createdAt
+});
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    apiTokenInputSchema,
+    isApiToken,
+    createApiToken,
+    resolveApiToken,
+    formatApiToken
+};
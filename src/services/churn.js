@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+
+const LOG_TIMEOUT = 120000;
+const COMMIT_MARKER = '@@commit';
+
+/**
+ * SHAs git marked as shallow boundaries. Their parents weren't fetched, so
+ * their numstat would count every line of every file as added.
+ */
+function readShallowCommits(workDir) {
+    try {
+        const content = fs.readFileSync(path.join(workDir, '.git', 'shallow'), 'utf-8');
+        return new Set(content.split('\n').filter(Boolean));
+    } catch (e) {
+        return new Set();
+    }
+}
+
+/**
+ * Per-file change history from `git log --numstat` over a time window.
+ *
+ * @param {string} workDir - Checkout fetched with enough history (see checkoutRepository `since`)
+ * @param {Date} since - Start of the window
+ * @returns {Map<string, { commitCount, linesChurned, authorCount, lastModifiedAt }>}
+ */
+function readChurn(workDir, since) {
+    const output = git([
+        'log',
+        '--no-merges',
+        '--no-renames',
+        '--numstat',
+        `--since=${since.toISOString()}`,
+        `--format=${COMMIT_MARKER}%x09%H%x09%aE%x09%cI`
+    ], workDir, LOG_TIMEOUT);
+
+    const shallow = readShallowCommits(workDir);
+    const stats = new Map();
+    let commit = null;
+
+    for (const line of output.split('\n')) {
+        if (line.startsWith(COMMIT_MARKER)) {
+            const [, sha, email, date] = line.split('\t');
+            commit = shallow.has(sha) ? null : { email: email.toLowerCase(), date: new Date(date) };
+            continue;
+        }
+        if (!commit || !line.trim()) continue;
+
+        // "<added>\t<deleted>\t<path>", with "-" for binary files
+        const [added, deleted, filePath] = line.split('\t');
+        if (!filePath) continue;
+
+        let entry = stats.get(filePath);
+        if (!entry) {
+            entry = { commitCount: 0, linesChurned: 0, authors: new Set(), lastModifiedAt: commit.date };
+            stats.set(filePath, entry);
+        }
+        entry.commitCount++;
+        entry.linesChurned += (parseInt(added, 10) || 0) + (parseInt(deleted, 10) || 0);
+        entry.authors.add(commit.email);
+        if (commit.date > entry.lastModifiedAt) entry.lastModifiedAt = commit.date;
+    }
+
+    const churn = new Map();
+    for (const [filePath, entry] of stats) {
+        churn.set(filePath, {
+            commitCount: entry.commitCount,
+            linesChurned: entry.linesChurned,
+            authorCount: entry.authors.size,
+            lastModifiedAt: entry.lastModifiedAt
+        });
+    }
+    return churn;
+}
+
+/**
+ * Attach churn to analyzed files and rank hotspots: sprawl score weighted by
+ * how often the file changed relative to the most-changed file in the window.
+ *
+ * @param {Array<Object>} files - analyzeFile results (mutated)
+ * @param {Map<string, Object>} churn - Result of readChurn
+ */
+function applyHotspots(files, churn) {
+    const maxCommits = Math.max(1, ...[...churn.values()].map(c => c.commitCount));
+
+    for (const file of files) {
+        const stats = churn.get(file.path) || {
+            commitCount: 0,
+            linesChurned: 0,
+            authorCount: 0,
+            lastModifiedAt: null
+        };
+        file.churn = stats;
+        file.hotspotScore = Math.round((stats.commitCount / maxCommits) * file.sprawlScore * 100) / 100;
+    }
+}
+
+module.exports = { readChurn, applyHotspots };
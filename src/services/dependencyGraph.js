@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const walk = require('acorn-walk');
+const { parseSource, walkBase } = require('./parser');
+
+// Extensions tried, in order, for extensionless specifiers and index files
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// TypeScript ESM imports name the compiled file: `./util.js` means `./util.ts`
+const COMPILED_EXTENSIONS = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts']
+};
+
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const MAX_EXTENDS_DEPTH = 5;
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..';
+
+/**
+ * Module specifiers a file imports at runtime: static imports, re-exports,
+ * `import()` and `require()` with a string literal, and TypeScript's
+ * `import x = require()`. Type-only imports are skipped. Falls back to
+ * regex matching when the file doesn't parse.
+ *
+ * @param {string} content
+ * @param {string} filePath - Used to pick the parser
+ * @returns {string[]}
+ */
+function extractImports(content, filePath) {
+    const { ast } = parseSource(content, filePath);
+    if (!ast) return extractImportsRegex(content);
+
+    const specifiers = [];
+    const addLiteral = (node) => {
+        if (node && node.type === 'Literal' && typeof node.value === 'string') specifiers.push(node.value);
+    };
+
+    walk.simple(ast, {
+        ImportDeclaration: (node) => {
+            if (node.importKind !== 'type') addLiteral(node.source);
+        },
+        ExportNamedDeclaration: (node) => {
+            if (node.source && node.exportKind !== 'type') addLiteral(node.source);
+        },
+        ExportAllDeclaration: (node) => {
+            if (node.exportKind !== 'type') addLiteral(node.source);
+        },
+        ImportExpression: (node) => addLiteral(node.source),
+        CallExpression: (node) => {
+            if (node.callee.type === 'Identifier' && node.callee.name === 'require') addLiteral(node.arguments[0]);
+        },
+        TSImportEqualsDeclaration: (node) => {
+            if (node.importKind !== 'type' && node.moduleReference?.type === 'TSExternalModuleReference') {
+                addLiteral(node.moduleReference.expression);
+            }
+        }
+    }, walkBase);
+
+    return specifiers;
+}
+
+function extractImportsRegex(content) {
+    const pattern = /(?:\bfrom\s+|\bimport\s+|\bimport\s*\(\s*|\brequire\s*\(\s*)['"]([^'"\n]+)['"]/g;
+    return [...content.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * JSON with comments and trailing commas, as tsconfig files allow
+ */
+function parseJsonc(text) {
+    let output = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            const start = i;
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                if (text[i] === '\\') i++;
+            }
+            output += text.slice(start, i + 1);
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            i = text.indexOf('*/', i + 2);
+            if (i === -1) break;
+            i++;
+        } else {
+            output += char;
+        }
+    }
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * `baseUrl` and `paths` from the repository's root tsconfig.json or
+ * jsconfig.json, following relative `extends`. Nested tsconfigs (monorepo
+ * packages) aren't read.
+ *
+ * @param {string} rootDir
+ * @returns {{ baseUrl: string|null, paths: Array<{ pattern: string, targets: string[] }> }}
+ *   Directories relative to rootDir
+ */
+function loadPathMapping(rootDir) {
+    const mapping = { baseUrl: null, paths: [] };
+    const configFile = TSCONFIG_FILES.map(name => path.join(rootDir, name)).find(file => fs.existsSync(file));
+    if (!configFile) return mapping;
+
+    // Nearest definition wins, so walk from the root config out through `extends`
+    let file = configFile;
+    let pathsBase = null;
+    for (let depth = 0; file && depth < MAX_EXTENDS_DEPTH; depth++) {
+        let config;
+        try {
+            config = parseJsonc(fs.readFileSync(file, 'utf-8'));
+        } catch (e) {
+            console.warn(`[Analyzer] Could not read ${path.relative(rootDir, file)}: ${e.message}`);
+            break;
+        }
+
+        const dir = path.dirname(file);
+        const options = config.compilerOptions || {};
+        if (mapping.baseUrl === null && typeof options.baseUrl === 'string') {
+            mapping.baseUrl = path.relative(rootDir, path.resolve(dir, options.baseUrl));
+        }
+        if (!mapping.paths.length && options.paths && typeof options.paths === 'object') {
+            mapping.paths = Object.entries(options.paths)
+                .filter(([, targets]) => Array.isArray(targets))
+                .map(([pattern, targets]) => ({ pattern, targets }));
+            pathsBase = dir;
+        }
+
+        const parent = typeof config.extends === 'string' && isRelative(config.extends)
+            ? path.resolve(dir, config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`)
+            : null;
+        file = parent && fs.existsSync(parent) ? parent : null;
+    }
+
+    // `paths` targets are relative to baseUrl, or to the config that declares them
+    const targetBase = mapping.baseUrl !== null ? mapping.baseUrl : path.relative(rootDir, pathsBase || rootDir);
+    mapping.paths = mapping.paths.map(({ pattern, targets }) => ({
+        pattern,
+        targets: targets.map(target => path.posix.join(targetBase.split(path.sep).join('/'), target))
+    }));
+    if (mapping.baseUrl !== null) mapping.baseUrl = mapping.baseUrl.split(path.sep).join('/');
+
+    return mapping;
+}
+
+/**
+ * Resolve import specifiers to analyzed files.
+ *
+ * @param {string[]} files - Analyzed files, relative to the repository root
+ * @param {Object} [mapping] - loadPathMapping result
+ * @returns {(fromFile: string, specifier: string) => { file?: string, external?: boolean }}
+ *   `file` when it resolves to an analyzed file, `external` for packages and
+ *   builtins, neither when a local import doesn't resolve
+ */
+function createResolver(files, mapping = { baseUrl: null, paths: [] }) {
+    const known = new Set(files);
+
+    const tryPath = (candidate) => {
+        const base = path.posix.normalize(candidate).replace(/^\.\/|\/$/g, '');
+        if (base.startsWith('../')) return null;
+        if (known.has(base)) return base;
+
+        const ext = path.posix.extname(base);
+        for (const replacement of COMPILED_EXTENSIONS[ext] || []) {
+            const compiled = base.slice(0, -ext.length) + replacement;
+            if (known.has(compiled)) return compiled;
+        }
+        for (const extension of RESOLVE_EXTENSIONS) {
+            if (known.has(base + extension)) return base + extension;
+        }
+        for (const extension of RESOLVE_EXTENSIONS) {
+            if (known.has(`${base}/index${extension}`)) return `${base}/index${extension}`;
+        }
+        return null;
+    };
+
+    const tryMapped = (specifier) => {
+        for (const { pattern, targets } of mapping.paths) {
+            const star = pattern.indexOf('*');
+            let wildcard = null;
+            if (star === -1) {
+                if (pattern !== specifier) continue;
+                wildcard = '';
+            } else {
+                const prefix = pattern.slice(0, star);
+                const suffix = pattern.slice(star + 1);
+                if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) continue;
+                wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+            }
+            for (const target of targets) {
+                const file = tryPath(target.replace('*', wildcard));
+                if (file) return file;
+            }
+        }
+        return mapping.baseUrl !== null ? tryPath(path.posix.join(mapping.baseUrl, specifier)) : null;
+    };
+
+    return (fromFile, specifier) => {
+        if (isRelative(specifier)) {
+            const file = tryPath(path.posix.join(path.posix.dirname(fromFile), specifier));
+            return file ? { file } : {};
+        }
+        if (specifier.startsWith('/')) {
+            const file = tryPath(specifier.slice(1));
+            return file ? { file } : {};
+        }
+        const file = tryMapped(specifier);
+        return file ? { file } : { external: true };
+    };
+}
+
+/**
+ * Import graph of a repository: one edge per (importer, imported file) pair.
+ *
+ * @param {string} rootDir
+ * @param {string[]} files - Analyzed files, relative to rootDir
+ * @returns {{ edges: Array<{ from: string, to: string }>, unresolvedImports: number }}
+ */
+function buildDependencyGraph(rootDir, files) {
+    const resolve = createResolver(files, loadPathMapping(rootDir));
+    const edges = [];
+    let unresolvedImports = 0;
+
+    for (const file of files) {
+        let content;
+        try {
+            content = fs.readFileSync(path.join(rootDir, file), 'utf-8');
+        } catch (e) {
+            continue;
+        }
+
+        const targets = new Set();
+        for (const specifier of extractImports(content, file)) {
+            const resolved = resolve(file, specifier);
+            if (resolved.file) targets.add(resolved.file);
+            else if (!resolved.external) unresolvedImports++;
+        }
+        for (const target of targets) edges.push({ from: file, to: target });
+    }
+
+    return { edges, unresolvedImports };
+}
+
+/**
+ * Strongly connected components with more than one file, plus files that
+ * import themselves: the import cycles. Tarjan's algorithm, iterative so
+ * long import chains can't overflow the stack.
+ *
+ * @param {string[]} nodes
+ * @param {Map<string, string[]>} adjacency
+ * @returns {string[][]} Largest first, each sorted by path
+ */
+function findCycles(nodes, adjacency) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    for (const start of nodes) {
+        if (index.has(start)) continue;
+
+        const work = [{ node: start, next: 0 }];
+        index.set(start, counter);
+        lowLink.set(start, counter++);
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length) {
+            const frame = work[work.length - 1];
+            const targets = adjacency.get(frame.node) || [];
+
+            if (frame.next < targets.length) {
+                const target = targets[frame.next++];
+                if (!index.has(target)) {
+                    index.set(target, counter);
+                    lowLink.set(target, counter++);
+                    stack.push(target);
+                    onStack.add(target);
+                    work.push({ node: target, next: 0 });
+                } else if (onStack.has(target)) {
+                    lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(target)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length) {
+                const parent = work[work.length - 1].node;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+            }
+
+            if (lowLink.get(frame.node) === index.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+
+                if (component.length > 1 || targets.includes(frame.node)) {
+                    cycles.push(component.sort());
+                }
+            }
+        }
+    }
+
+    return cycles.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Per-file coupling metrics and import cycles for a dependency graph.
+ * Instability is fanOut / (fanIn + fanOut): 0 for files only depended on,
+ * 1 for files that only depend on others.
+ *
+ * @param {string[]} files - Every file in the graph, including ones without edges
+ * @param {Array<{ from: string, to: string }>} edges
+ * @returns {{ nodes: Map<string, { fanIn: number, fanOut: number, instability: number }>, cycles: string[][] }}
+ */
+function summarizeGraph(files, edges) {
+    const nodes = new Map(files.map(file => [file, { fanIn: 0, fanOut: 0, instability: 0 }]));
+    const adjacency = new Map();
+
+    for (const { from, to } of edges) {
+        if (!nodes.has(from)) nodes.set(from, { fanIn: 0, fanOut: 0, instability: 0 });
+        if (!nodes.has(to)) nodes.set(to, { fanIn: 0, fanOut: 0, instability: 0 });
+        nodes.get(from).fanOut++;
+        nodes.get(to).fanIn++;
+        if (!adjacency.has(from)) adjacency.set(from, []);
+        adjacency.get(from).push(to);
+    }
+
+    for (const node of nodes.values()) {
+        const total = node.fanIn + node.fanOut;
+        node.instability = total ? Math.round((node.fanOut / total) * 100) / 100 : 0;
+    }
+
+    return { nodes, cycles: findCycles([...nodes.keys()], adjacency) };
+}
+
+module.exports = {
+    extractImports,
+    loadPathMapping,
+    createResolver,
+    buildDependencyGraph,
+    summarizeGraph
+};
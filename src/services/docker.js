@@ -0,0 +1,188 @@
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { checkoutRepository } = require('./git');
+const { PROGRESS_LINE_PREFIX } = require('./progress');
+
+const MAX_OUTPUT_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Size of a directory in megabytes
+ */
+function directorySizeMb(dir) {
+    const output = execFileSync('du', ['-sk', dir], { encoding: 'utf-8' });
+    return parseInt(output.split('\t')[0], 10) / 1024;
+}
+
+/**
+ * Run the analyzer container and collect its stdout (the JSON results).
+ * The container's stderr is forwarded to our logs, except progress lines,
+ * which go to onProgress.
+ */
+function runContainer(args, containerName, timeoutMs, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('docker', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const chunks = [];
+        let outputBytes = 0;
+        let settled = false;
+
+        const finish = (error, output) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(output);
+        };
+
+        const killContainer = () => {
+            try {
+                execFileSync('docker', ['kill', containerName], { stdio: 'ignore', timeout: 15000 });
+            } catch (e) {
+                // Already gone
+            }
+        };
+
+        const timer = setTimeout(() => {
+            killContainer();
+            finish(new Error(`Analysis timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        child.stdout.on('data', (chunk) => {
+            outputBytes += chunk.length;
+            if (outputBytes > MAX_OUTPUT_BYTES) {
+                killContainer();
+                finish(new Error('Analysis output exceeded size limit'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        let stderrTail = '';
+        child.stderr.on('data', (chunk) => {
+            const lines = (stderrTail + chunk.toString()).split('\n');
+            stderrTail = lines.pop();
+            for (const line of lines) {
+                if (line.startsWith(PROGRESS_LINE_PREFIX)) {
+                    try {
+                        onProgress?.(JSON.parse(line.slice(PROGRESS_LINE_PREFIX.length)));
+                    } catch (e) {
+                        // Malformed progress line; not worth failing the scan over
+                    }
+                } else if (line.trim()) {
+                    console.log(`[Docker] ${line}`);
+                }
+            }
+        });
+
+        const onAbort = () => {
+            killContainer();
+            finish(new Error('Analysis cancelled'));
+        };
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        child.on('error', (error) => finish(error));
+
+        child.on('close', (code, signal) => {
+            if (code !== 0) {
+                finish(new Error(`Analyzer container exited with ${signal || `code ${code}`}`));
+                return;
+            }
+            finish(null, Buffer.concat(chunks).toString('utf-8'));
+        });
+    });
+}
+
+/**
+ * Analyze a repository inside the sandbox container.
+ *
+ * The clone happens here on the host (it needs the network and credentials);
+ * the container then gets the checkout read-only with no network, capped
+ * memory/CPU/PIDs, a read-only root filesystem and a wall-clock timeout.
+ *
+ * @param {Object} job
+ * @param {string} job.cloneUrl - Git clone URL
+ * @param {string} [job.accessToken] - GitHub access token
+ * @param {number} job.scanId - Used to name the container
+ * @param {string} [job.ref] - Branch, tag or commit SHA
+ * @param {number} [job.historyDays] - History mode window
+ * @param {Object} [job.scoringProfile] - Sprawl formula profile
+ * @param {Object} [job.previous] - Previous scan's file hashes for incremental analysis
+ * @param {AbortSignal} [job.signal] - Aborted when the scan is cancelled (kills the container)
+ * @param {Function} [job.onProgress] - Called with { phase, current, total } as the scan advances
+ * @returns {Promise<Object>} Analysis results, same shape as analyzeRepo
+ */
+async function runDockerAnalysis(job) {
+    const { cloneUrl, accessToken, scanId, ref, historyDays, scoringProfile, previous, signal, onProgress } = job;
+    const limits = config.analysis.docker;
+    const since = historyDays ? new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000) : null;
+
+    const workDir = fs.mkdtempSync(path.join(config.analysis.workDir || os.tmpdir(), 'devdebt-'));
+    // Options can be large (previous file hashes), so they go in a file instead of an env var
+    const optionsDir = fs.mkdtempSync(path.join(config.analysis.workDir || os.tmpdir(), 'devdebt-options-'));
+    const containerName = `devdebt-scan-${scanId}-${Date.now()}`;
+
+    try {
+        onProgress?.({ phase: 'cloning' });
+        console.log(`[Docker] Cloning repository into ${workDir}${ref ? ` at ${ref}` : ''}...`);
+        const commit = checkoutRepository(cloneUrl, workDir, { ref, since, accessToken });
+
+        const sizeMb = directorySizeMb(workDir);
+        if (sizeMb > limits.maxDiskMb) {
+            throw new Error(`Checkout is ${Math.round(sizeMb)}MB, over the ${limits.maxDiskMb}MB limit`);
+        }
+
+        const options = {
+            scoringProfile,
+            historyDays,
+            since,
+            previous,
+            threads: Math.max(1, Math.floor(parseFloat(limits.cpus)))
+        };
+        fs.writeFileSync(path.join(optionsDir, 'options.json'), JSON.stringify(options));
+        const args = [
+            'run', '--rm',
+            '--name', containerName,
+            '--network=none',
+            `--memory=${limits.memory}`,
+            `--memory-swap=${limits.memory}`,
+            `--cpus=${limits.cpus}`,
+            `--pids-limit=${limits.pidsLimit}`,
+            '--read-only',
+            '--tmpfs', '/tmp:rw,noexec,size=64m',
+            '--cap-drop=ALL',
+            '--security-opt', 'no-new-privileges',
+            '-v', `${workDir}:/repo:ro`,
+            '-v', `${optionsDir}:/options:ro`,
+            '-e', 'DEVDEBT_OPTIONS_FILE=/options/options.json',
+            limits.image
+        ];
+
+        console.log(`[Docker] Starting analysis container: ${containerName}`);
+        if (signal?.aborted) {
+            throw new Error('Analysis cancelled');
+        }
+
+        const output = await runContainer(args, containerName, limits.timeoutMs, { signal, onProgress });
+
+        return { ...JSON.parse(output), commit };
+    } catch (error) {
+        console.error(`[Docker] Analysis failed for scan ${scanId}: ${error.message}`);
+        throw new Error(`Docker analysis failed: ${error.message}`);
+    } finally {
+        for (const dir of [workDir, optionsDir]) {
+            try {
+                fs.rmSync(dir, { recursive: true, force: true });
+            } catch (cleanupError) {
+                console.error(`[Docker] Failed to cleanup ${dir}:`, cleanupError.message);
+            }
+        }
+    }
+}
+
+module.exports = { runDockerAnalysis };
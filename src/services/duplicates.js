@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenizeSource } = require('./parser');
+
+// A clone must span at least this many tokens and lines to be reported
+const MIN_TOKENS = 50;
+const MIN_LINES = 5;
+
+// Winnowing: hash every KGRAM-token shingle, keep the minimum hash of each
+// run of WINDOW shingles. Any match of KGRAM + WINDOW - 1 (= MIN_TOKENS)
+// tokens is guaranteed to share at least one kept fingerprint.
+const KGRAM = 25;
+const WINDOW = MIN_TOKENS - KGRAM + 1;
+
+// Fingerprints seen in more files than this are boilerplate, not copy-paste
+const MAX_BUCKET_SIZE = 50;
+
+// Regions of one file are the same clone when they cover at least this share
+// of the longest region they overlap; smaller overlaps are neighbouring clones
+const MIN_GROUP_OVERLAP = 0.5;
+
+const HASH_BASE = 257;
+const HASH_MOD = 2147483647;
+
+const IDENTIFIER_TOKENS = new Set(['name', 'jsxName', 'privateId']);
+const LITERAL_TOKENS = new Set(['string', 'num', 'regexp', 'template', 'jsxText']);
+
+/**
+ * Normalize a token so renamed identifiers and changed literals still match
+ */
+function normalizeToken(token) {
+    const label = token.type.label;
+    if (IDENTIFIER_TOKENS.has(label)) return 'ID';
+    if (LITERAL_TOKENS.has(label) || typeof token.value === 'bigint') return 'LIT';
+    return typeof token.value === 'string' ? token.value : label;
+}
+
+/**
+ * Turn a file into parallel arrays of vocabulary ids and line numbers
+ */
+function encodeFile(content, filePath, vocabulary) {
+    const tokens = tokenizeSource(content, filePath);
+    if (!tokens) return null;
+
+    const significant = tokens.filter(t => t.type.label !== 'eof');
+    const ids = new Int32Array(significant.length);
+    const lines = new Int32Array(significant.length);
+
+    significant.forEach((token, i) => {
+        const key = normalizeToken(token);
+        let id = vocabulary.get(key);
+        if (id === undefined) {
+            id = vocabulary.size + 1;
+            vocabulary.set(key, id);
+        }
+        ids[i] = id;
+        lines[i] = token.loc.start.line;
+    });
+
+    return { ids, lines };
+}
+
+/**
+ * Rolling hashes of every KGRAM-token shingle, winnowed down to fingerprints
+ *
+ * @returns {Array<[number, number]>} [hash, token position] pairs
+ */
+function fingerprint(ids) {
+    const count = ids.length - KGRAM + 1;
+    if (count <= 0) return [];
+
+    let power = 1;
+    for (let i = 1; i < KGRAM; i++) power = (power * HASH_BASE) % HASH_MOD;
+
+    const hashes = new Array(count);
+    let hash = 0;
+    for (let i = 0; i < ids.length; i++) {
+        if (i >= KGRAM) {
+            hash = (hash - (ids[i - KGRAM] * power) % HASH_MOD + HASH_MOD) % HASH_MOD;
+        }
+        hash = (hash * HASH_BASE + ids[i]) % HASH_MOD;
+        if (i >= KGRAM - 1) hashes[i - KGRAM + 1] = hash;
+    }
+
+    // Monotonic deque over hash positions: front holds the window minimum
+    const fingerprints = [];
+    const deque = [];
+    let lastPicked = -1;
+    for (let i = 0; i < count; i++) {
+        while (deque.length && hashes[deque[deque.length - 1]] >= hashes[i]) deque.pop();
+        deque.push(i);
+        if (deque[0] <= i - WINDOW) deque.shift();
+
+        if (i >= WINDOW - 1 || i === count - 1) {
+            const min = deque[0];
+            if (min !== lastPicked) {
+                fingerprints.push([hashes[min], min]);
+                lastPicked = min;
+            }
+        }
+    }
+    return fingerprints;
+}
+
+/**
+ * Grow a fingerprint match in both directions to the full cloned region
+ */
+function extendMatch(a, b, posA, posB) {
+    for (let k = 0; k < KGRAM; k++) {
+        if (a.ids[posA + k] !== b.ids[posB + k]) return null; // hash collision
+    }
+
+    let start = 0;
+    while (posA - start > 0 && posB - start > 0 && a.ids[posA - start - 1] === b.ids[posB - start - 1]) {
+        start++;
+    }
+
+    let end = KGRAM;
+    while (posA + end < a.ids.length && posB + end < b.ids.length && a.ids[posA + end] === b.ids[posB + end]) {
+        end++;
+    }
+
+    return { startA: posA - start, startB: posB - start, length: start + end };
+}
+
+/**
+ * Merge pairwise matches into clone groups. Within a file, each region joins
+ * the longest region it mostly overlaps (the cluster doesn't grow, so
+ * neighbouring clones don't chain together); matches then connect the
+ * clusters of different files into groups. Overlapping regions of a file
+ * within a group become one location.
+ *
+ * @param {Array<Object>} encoded - Encoded files
+ * @param {Array<Object>} matches - { regions: [{ file, start, end }, ...], tokenCount }
+ * @returns {Array<Object>} { tokenCount, locations: [{ filePath, startLine, endLine }] }
+ */
+function groupMatches(encoded, matches) {
+    const regions = matches.flatMap(match => match.regions);
+    const parent = regions.map((region, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    const union = (i, j) => {
+        parent[find(i)] = find(j);
+    };
+
+    // Both sides of a match
+    for (let i = 0; i < regions.length; i += 2) union(i, i + 1);
+
+    // Same clone within a file: longest regions first, each seeding a cluster
+    const byFile = new Map();
+    regions.forEach((region, i) => {
+        if (!byFile.has(region.file)) byFile.set(region.file, []);
+        byFile.get(region.file).push(i);
+    });
+    for (const indexes of byFile.values()) {
+        indexes.sort((x, y) => (regions[y].end - regions[y].start) - (regions[x].end - regions[x].start));
+        const seeds = [];
+        for (const i of indexes) {
+            const region = regions[i];
+            const seed = seeds.find((s) => {
+                const overlap = Math.min(s.end, region.end) - Math.max(s.start, region.start) + 1;
+                return overlap >= (s.end - s.start + 1) * MIN_GROUP_OVERLAP;
+            });
+            if (seed) union(i, seed.index);
+            else seeds.push({ ...region, index: i });
+        }
+    }
+
+    const groups = new Map();
+    regions.forEach((region, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, { tokenCount: 0, regions: [] });
+        const group = groups.get(root);
+        group.regions.push(region);
+        group.tokenCount = Math.max(group.tokenCount, matches[i >> 1].tokenCount);
+    });
+
+    return [...groups.values()].map(({ tokenCount, regions: members }) => {
+        const locations = [];
+        members.sort((x, y) => x.file - y.file || x.start - y.start);
+        for (const region of members) {
+            const last = locations[locations.length - 1];
+            if (last && last.file === region.file && region.start <= last.end) {
+                last.end = Math.max(last.end, region.end);
+            } else {
+                locations.push({ ...region });
+            }
+        }
+
+        return {
+            tokenCount,
+            locations: locations
+                .map(({ file, start, end }) => ({
+                    filePath: encoded[file].path,
+                    startLine: encoded[file].lines[start],
+                    endLine: encoded[file].lines[end]
+                }))
+                .sort((x, y) => x.filePath.localeCompare(y.filePath) || x.startLine - y.startLine)
+        };
+    });
+}
+
+/**
+ * Find copy-pasted code across files in a checkout.
+ *
+ * @param {string} rootDir - Repository root on disk
+ * @param {Array<string>} files - Paths relative to rootDir
+ * @returns {{ clones: Array<Object>, ratios: Map<string, number> }}
+ *   clone groups ({ tokenCount, locations }) and, per file, the share of its
+ *   tokens cloned from another file
+ */
+function detectClones(rootDir, files) {
+    const vocabulary = new Map();
+    const encoded = [];
+
+    for (const file of files) {
+        try {
+            const content = fs.readFileSync(path.join(rootDir, file), 'utf-8');
+            const result = encodeFile(content, file, vocabulary);
+            if (result && result.ids.length >= MIN_TOKENS) {
+                encoded.push({ path: file, ...result });
+            }
+        } catch (e) {
+            console.error(`[Duplicates] Failed to tokenize ${file}: ${e.message}`);
+        }
+    }
+
+    // hash -> [[fileIndex, position], ...]
+    const index = new Map();
+    encoded.forEach((file, fileIndex) => {
+        for (const [hash, position] of fingerprint(file.ids)) {
+            let bucket = index.get(hash);
+            if (!bucket) index.set(hash, bucket = []);
+            bucket.push([fileIndex, position]);
+        }
+    });
+
+    const matches = [];
+    const seen = new Map(); // "fa:fb:diagonal" -> [[startA, endA], ...]
+    const coverage = encoded.map(file => new Uint8Array(file.ids.length));
+
+    for (const bucket of index.values()) {
+        if (bucket.length < 2 || bucket.length > MAX_BUCKET_SIZE) continue;
+
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                let [fa, pa] = bucket[i];
+                let [fb, pb] = bucket[j];
+                if (fa === fb) continue;
+                if (fa > fb) [fa, pa, fb, pb] = [fb, pb, fa, pa];
+
+                const key = `${fa}:${fb}:${pa - pb}`;
+                const regions = seen.get(key) || [];
+                if (regions.some(([start, end]) => pa >= start && pa < end)) continue;
+
+                const a = encoded[fa];
+                const b = encoded[fb];
+                const match = extendMatch(a, b, pa, pb);
+                if (!match) continue;
+
+                regions.push([match.startA, match.startA + match.length]);
+                seen.set(key, regions);
+
+                const endA = match.startA + match.length - 1;
+                const endB = match.startB + match.length - 1;
+                const startLineA = a.lines[match.startA];
+                const endLineA = a.lines[endA];
+                const startLineB = b.lines[match.startB];
+                const endLineB = b.lines[endB];
+
+                if (match.length < MIN_TOKENS) continue;
+                if (endLineA - startLineA + 1 < MIN_LINES || endLineB - startLineB + 1 < MIN_LINES) continue;
+
+                coverage[fa].fill(1, match.startA, endA + 1);
+                coverage[fb].fill(1, match.startB, endB + 1);
+
+                matches.push({
+                    regions: [
+                        { file: fa, start: match.startA, end: endA },
+                        { file: fb, start: match.startB, end: endB }
+                    ],
+                    tokenCount: match.length
+                });
+            }
+        }
+    }
+
+    const ratios = new Map();
+    encoded.forEach((file, fileIndex) => {
+        const cloned = coverage[fileIndex].reduce((sum, flag) => sum + flag, 0);
+        if (cloned > 0) ratios.set(file.path, cloned / file.ids.length);
+    });
+
+    const clones = groupMatches(encoded, matches)
+        .sort((x, y) => y.tokenCount - x.tokenCount || y.locations.length - x.locations.length);
+    return { clones, ratios };
+}
+
+module.exports = { detectClones };
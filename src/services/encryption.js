@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Envelope encryption for secrets at rest.
+ *
+ * Each value gets its own random data key (AES-256-GCM). The data key is
+ * stored next to the ciphertext, wrapped with a key-encryption key (KEK) from
+ * config. Rotating the KEK only re-wraps data keys (see rewrapSecret).
+ *
+ * Stored format: v1.<kekId>.<wrapped data key>.<ciphertext>, where both
+ * encrypted parts are base64url(iv | auth tag | bytes).
+ */
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let keyring = null;
+
+/**
+ * KEKs from config.security.tokenEncryptionKeys ("id:base64key,..."), plus the
+ * ID new values are wrapped with. Without configured keys a key is derived
+ * from the JWT secret so development setups keep working.
+ */
+function loadKeyring() {
+    if (keyring) return keyring;
+
+    const { tokenEncryptionKeys, tokenEncryptionKeyId } = config.security;
+    const keys = new Map();
+
+    for (const entry of (tokenEncryptionKeys || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (separator < 1 || !KEY_ID_PATTERN.test(id) || key.length !== KEY_BYTES) {
+            throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${id || entry.slice(0, 8)}": expected <id>:<base64 ${KEY_BYTES}-byte key>`);
+        }
+        keys.set(id, key);
+    }
+
+    if (!keys.size) {
+        console.warn('[Encryption] TOKEN_ENCRYPTION_KEYS is not set, deriving a key from JWT_SECRET. Set it in production!');
+        keys.set('jwt', crypto.createHash('sha256').update(`devdebt-token-key:${config.jwtSecret}`).digest());
+    }
+
+    const currentId = tokenEncryptionKeyId || [...keys.keys()].pop();
+    if (!keys.has(currentId)) {
+        throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${currentId}" is not in TOKEN_ENCRYPTION_KEYS`);
+    }
+
+    keyring = { keys, currentId };
+    return keyring;
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function open(key, sealed) {
+    const bytes = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, bytes.subarray(0, IV_BYTES));
+    decipher.setAuthTag(bytes.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function parse(stored) {
+    const [version, kekId, wrappedKey, ciphertext] = stored.split('.');
+    if (version !== FORMAT_VERSION || !wrappedKey || !ciphertext) {
+        throw new Error('Unrecognized encrypted value');
+    }
+    const kek = loadKeyring().keys.get(kekId);
+    if (!kek) {
+        throw new Error(`Encryption key "${kekId}" is not configured`);
+    }
+    return { kekId, kek, wrappedKey, ciphertext };
+}
+
+/**
+ * Whether a stored value is in the encrypted format (older rows hold plaintext)
+ */
+const isEncrypted = (stored) => typeof stored === 'string' && stored.startsWith(`${FORMAT_VERSION}.`);
+
+/**
+ * Encrypt a secret with a fresh data key wrapped by the current KEK
+ *
+ * @param {string} plaintext
+ * @returns {string} Stored form
+ */
+function encryptSecret(plaintext) {
+    const { keys, currentId } = loadKeyring();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    return [FORMAT_VERSION, currentId, seal(keys.get(currentId), dataKey), seal(dataKey, plaintext)].join('.');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ *
+ * @param {string} stored
+ * @returns {string}
+ */
+function decryptSecret(stored) {
+    const { kek, wrappedKey, ciphertext } = parse(stored);
+    return open(open(kek, wrappedKey), ciphertext).toString('utf8');
+}
+
+/**
+ * Whether a stored value is wrapped with an older KEK (or not encrypted at all)
+ */
+const needsRewrap = (stored) => !isEncrypted(stored) || stored.split('.')[1] !== loadKeyring().currentId;
+
+/**
+ * Re-wrap the data key of a stored value with the current KEK. The
+ * ciphertext itself is left as is. Plaintext values get encrypted.
+ *
+ * @param {string} stored
+ * @returns {string} Stored form under the current KEK
+ */
+function rewrapSecret(stored) {
+    if (!isEncrypted(stored)) return encryptSecret(stored);
+
+    const { keys, currentId } = loadKeyring();
+    const { kek, wrappedKey, ciphertext } = parse(stored);
+    return [FORMAT_VERSION, currentId, seal(keys.get(currentId), open(kek, wrappedKey)), ciphertext].join('.');
+}
+
+module.exports = { isEncrypted, encryptSecret, decryptSecret, needsRewrap, rewrapSecret };
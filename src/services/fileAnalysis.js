@@ -0,0 +1,287 @@
+/**
+ * Metrics for a single file. Shared by the analyzer (inline) and its worker
+ * threads, so it must not require analyzer.js or analysisPool.js.
+ */
+const walk = require('acorn-walk');
+const { parseSource, walkBase } = require('./parser');
+const { analyzeFunctions } = require('./functionMetrics');
+const { resolveScoringProfile, classifySprawl } = require('./scoringProfile');
+const { findIgnoreNextFunctionLines } = require('./repoConfig');
+
+const LONG_FUNCTION_LOC = 50;
+
+// Fan-out at which the coupling term K reaches 1
+const MAX_ALLOWED_DEPENDENCIES = 5;
+
+// Salt for file hashes. Bump whenever analyzeFile's output changes so
+// incremental scans stop reusing metrics computed by the old code.
+const ANALYZER_VERSION = '3';
+
+/**
+ * Analyze a single file using Sprawl Detection Formula
+ *
+ * @param {string} content - File contents
+ * @param {string} filePath - Path relative to the repository root
+ * @param {Object} [options]
+ * @param {number} [options.crossFileDuplication] - Share of this file's tokens cloned in other files (0-1)
+ * @param {number} [options.fanOut] - Repository files this file imports; the raw import count is used when omitted
+ * @param {Object} [options.scoringProfile] - Weights and thresholds, defaults if omitted
+ */
+function analyzeFile(content, filePath, options = {}) {
+    const { crossFileDuplication = 0 } = options;
+    const { weights, idealLoc, ccMax, thresholds } = options.scoringProfile || resolveScoringProfile();
+    const lines = content.split('\n');
+    const loc = lines.length;
+
+    if (loc < 5) return null;
+
+    // JS/JSX go through acorn, TS/TSX through @sveltejs/acorn-typescript; regex heuristics only if parsing fails
+    const { ast, parser, error } = parseSource(content, filePath);
+    if (!ast) {
+        console.warn(`[Analyzer] Could not parse ${filePath}, using regex heuristics: ${error}`);
+    }
+
+    const normalizedLOC = loc / idealLoc;
+
+    // Per-function breakdown is only available with an AST.
+    // Functions under `// devdebt-ignore-next-function` drop out of it and of the file's CC.
+    const { kept: functions, suppressed, targets } = ast
+        ? applyFunctionSuppressions(analyzeFunctions(ast), findIgnoreNextFunctionLines(content))
+        : { kept: [], suppressed: [], targets: [] };
+
+    const suppressedComplexity = suppressed.reduce((sum, fn) => sum + fn.cyclomaticComplexity - 1, 0);
+    const cyclomaticComplexity = ast
+        ? Math.max(1, calculateComplexityAST(ast) - suppressedComplexity)
+        : calculateComplexityRegex(content);
+
+    const complexityScore = cyclomaticComplexity / ccMax;
+
+    // D covers repeated lines within the file plus code cloned from other files
+    const duplicationRatio = Math.min(1, calculateDuplicationRatio(content) + crossFileDuplication);
+
+    const responsibilityScore = ast
+        ? calculateResponsibilityAST(ast)
+        : calculateResponsibilityRegex(content);
+
+    // K is fan-out in the dependency graph when the whole repository was resolved
+    const couplingScore = options.fanOut !== undefined
+        ? options.fanOut / MAX_ALLOWED_DEPENDENCIES
+        : (ast ? calculateCouplingAST(ast) : calculateCouplingRegex(content));
+
+    const sprawlScore = (
+        (weights.size * normalizedLOC) +
+        (weights.complexity * complexityScore) +
+        (weights.duplication * duplicationRatio) +
+        (weights.responsibility * responsibilityScore) +
+        (weights.coupling * couplingScore)
+    );
+
+    const aiEntropyFactor = calculateAIEntropyFactor(content);
+    const adjustedSprawlScore = sprawlScore * (1 + aiEntropyFactor);
+
+    const sprawlLevel = classifySprawl(adjustedSprawlScore, thresholds);
+
+    return {
+        path: filePath,
+        loc,
+        parser,
+        metrics: {
+            normalizedLOC: Math.round(normalizedLOC * 100) / 100,
+            complexityScore: Math.round(complexityScore * 100) / 100,
+            duplicationRatio: Math.round(duplicationRatio * 100) / 100,
+            crossFileDuplication: Math.round(crossFileDuplication * 100) / 100,
+            responsibilityScore: Math.round(responsibilityScore * 100) / 100,
+            couplingScore: Math.round(couplingScore * 100) / 100,
+            aiEntropyFactor: Math.round(aiEntropyFactor * 100) / 100
+        },
+        cyclomaticComplexity: Math.round(cyclomaticComplexity * 100) / 100,
+        duplicatedLogicScore: Math.round(duplicationRatio * 100),
+        aiEntropyScore: Math.round(aiEntropyFactor * 100),
+        totalDebtScore: Math.round(adjustedSprawlScore * 100) / 100,
+        sprawlScore: Math.round(adjustedSprawlScore * 100) / 100,
+        sprawlLevel,
+        details: {
+            hasLongFunctions: ast
+                ? functions.some(fn => fn.loc > LONG_FUNCTION_LOC)
+                : loc > LONG_FUNCTION_LOC,
+            hasDeepNesting: hasDeepNesting(content),
+            hasRepetitivePatterns: duplicationRatio > 0.1,
+            hasHighCoupling: couplingScore > 1.0,
+            hasTooManyResponsibilities: responsibilityScore > 1.5
+        },
+        functions,
+        suppressedFunctions: targets.map(fn => ({ name: fn.name, startLine: fn.startLine }))
+    };
+}
+
+/**
+ * Find the function following each `// devdebt-ignore-next-function` comment.
+ * Returns the remaining functions, every removed function (including ones
+ * nested inside a target) and the targets themselves.
+ */
+function applyFunctionSuppressions(functions, commentLines) {
+    if (commentLines.length === 0) return { kept: functions, suppressed: [], targets: [] };
+
+    const targets = [];
+    for (const line of commentLines) {
+        const target = functions.find(fn => fn.startLine > line);
+        if (target && !targets.includes(target)) targets.push(target);
+    }
+
+    const isSuppressed = (fn) => targets.some(t => fn.startLine >= t.startLine && fn.endLine <= t.endLine);
+    return {
+        kept: functions.filter(fn => !isSuppressed(fn)),
+        suppressed: functions.filter(isSuppressed),
+        targets
+    };
+}
+
+function calculateComplexityAST(ast) {
+    let complexity = 1;
+    walk.simple(ast, {
+        IfStatement: () => complexity++,
+        ForStatement: () => complexity++,
+        ForInStatement: () => complexity++,
+        ForOfStatement: () => complexity++,
+        WhileStatement: () => complexity++,
+        DoWhileStatement: () => complexity++,
+        SwitchCase: (node) => { if (node.test) complexity++; },
+        ConditionalExpression: () => complexity++,
+        LogicalExpression: (node) => {
+            if (node.operator === '||' || node.operator === '&&') complexity++;
+        }
+    }, walkBase);
+    return complexity;
+}
+
+function calculateResponsibilityAST(ast) {
+    const IDEAL_RESPONSIBILITIES = 2;
+    let responsibilities = 0;
+    walk.simple(ast, {
+        FunctionDeclaration: () => responsibilities += 0.5,
+        FunctionExpression: () => responsibilities += 0.5,
+        ArrowFunctionExpression: () => responsibilities += 0.5,
+        ClassDeclaration: () => responsibilities += 1.0,
+        MethodDefinition: () => responsibilities += 0.3,
+        AssignmentExpression: (node) => {
+            if (node.left.type === 'MemberExpression' && node.left.object.type === 'ThisExpression') {
+                responsibilities += 0.2;
+            }
+        }
+    }, walkBase);
+    return Math.max(1, responsibilities) / IDEAL_RESPONSIBILITIES;
+}
+
+function calculateCouplingAST(ast) {
+    let dependencies = 0;
+    walk.simple(ast, {
+        ImportDeclaration: () => dependencies++,
+        CallExpression: (node) => {
+            if (node.callee.name === 'require') dependencies++;
+        }
+    }, walkBase);
+    return dependencies / MAX_ALLOWED_DEPENDENCIES;
+}
+
+function calculateComplexityRegex(content) {
+    const patterns = [/\bif\b/g, /\belse\s+if\b/g, /\bfor\b/g, /\bwhile\b/g, /\bcase\b/g, /\bcatch\b/g, /\?\s*.*\s*:/g, /&&/g, /\|\|/g];
+    let complexity = 1;
+    for (const pattern of patterns) {
+        const matches = content.match(pattern);
+        if (matches) complexity += matches.length;
+    }
+    return complexity;
+}
+
+function calculateResponsibilityRegex(content) {
+    const IDEAL_RESPONSIBILITIES = 2;
+    let responsibilities = 0;
+    const functionDefs = content.match(/function\s+\w+|const\s+\w+\s*=\s*(?:async\s*)?\([^)]*\)\s*=>/g) || [];
+    responsibilities += functionDefs.length * 0.5;
+    const httpPatterns = content.match(/\.(get|post|put|delete|patch)\s*\(/gi) || [];
+    responsibilities += httpPatterns.length * 0.3;
+    const statePatterns = content.match(/\.set\s*\(|setState|\.update\s*\(|\.push\s*\(|\.splice\s*\(/gi) || [];
+    responsibilities += statePatterns.length * 0.2;
+    return Math.max(1, responsibilities) / IDEAL_RESPONSIBILITIES;
+}
+
+function calculateCouplingRegex(content) {
+    const importMatches = content.match(/^import\s+.*from\s+['"]/gm) || [];
+    const requireMatches = content.match(/require\s*\(\s*['"]/g) || [];
+    return (importMatches.length + requireMatches.length) / MAX_ALLOWED_DEPENDENCIES;
+}
+
+function calculateDuplicationRatio(content) {
+    const lines = content.split('\n')
+        .map(l => l.trim())
+        .filter(l => l.length > 10 && !l.startsWith('//') && !l.startsWith('*') && !l.startsWith('import'));
+
+    if (lines.length === 0) return 0;
+
+    const lineFrequency = {};
+    for (const line of lines) {
+        const normalized = line.replace(/\s+/g, ' ');
+        lineFrequency[normalized] = (lineFrequency[normalized] || 0) + 1;
+    }
+
+    let duplicatedLines = 0;
+    for (const count of Object.values(lineFrequency)) {
+        if (count > 1) duplicatedLines += count - 1;
+    }
+
+    return duplicatedLines / lines.length;
+}
+
+function calculateAIEntropyFactor(content) {
+    const loc = content.split('\n').length;
+    if (loc === 0) return 0;
+
+    const aiPatterns = [
+        /TODO:?\s*(implement|add|fix|handle)/gi,
+        /\/\/\s*\.\.\./g,
+        /console\.log\(['"](debug|test|here)/gi,
+        /\bany\b/g,
+        /\/\*\*[\s\S]*?\*\//g,
+        /throw new Error\(['"]Not implemented/gi,
+        /\/\/\s*eslint-disable/gi,
+    ];
+
+    let patternCount = 0;
+    for (const pattern of aiPatterns) {
+        const matches = content.match(pattern);
+        if (matches) patternCount += matches.length;
+    }
+
+    const functionSignatures = content.match(/function\s+\w+\s*\([^)]*\)/g) || [];
+    const arrowFunctions = content.match(/const\s+\w+\s*=\s*\([^)]*\)\s*=>/g) || [];
+    const allSignatures = [...functionSignatures, ...arrowFunctions];
+
+    const signaturePatterns = {};
+    for (const sig of allSignatures) {
+        const params = sig.match(/\([^)]*\)/)?.[0] || '';
+        const paramCount = (params.match(/,/g) || []).length + (params.length > 2 ? 1 : 0);
+        const pattern = `params_${paramCount}`;
+        signaturePatterns[pattern] = (signaturePatterns[pattern] || 0) + 1;
+    }
+
+    let signatureSimilarity = 0;
+    const values = Object.values(signaturePatterns);
+    if (values.length > 0 && allSignatures.length > 3) {
+        const max = Math.max(...values);
+        signatureSimilarity = (max / allSignatures.length) * 0.3;
+    }
+
+    const unusedRatio = (patternCount / loc) * 0.5;
+    return Math.min(0.5, unusedRatio + signatureSimilarity);
+}
+
+function hasDeepNesting(content) {
+    const lines = content.split('\n');
+    for (const line of lines) {
+        const indent = line.match(/^(\s*)/)?.[1]?.length || 0;
+        if (indent > 16) return true;
+    }
+    return false;
+}
+
+module.exports = { ANALYZER_VERSION, LONG_FUNCTION_LOC, analyzeFile };
@@ -0,0 +1,151 @@
+const walk = require('acorn-walk');
+const { walkBase } = require('./parser');
+
+/**
+ * Per-function metrics: one entry per function, method and arrow function
+ * in the AST. Nested functions are measured separately and don't add to
+ * their parent's complexity or nesting depth.
+ *
+ * @param {Object} ast - ESTree AST from parseSource
+ * @returns {Array<Object>} Function metrics ordered by start line
+ */
+function analyzeFunctions(ast) {
+    const functions = [];
+
+    walk.ancestor(ast, {
+        Function(node, _state, ancestors) {
+            if (!node.body) return; // TS overloads / abstract methods
+
+            const { complexity, nestingDepth } = measureFunctionBody(node);
+            const startLine = node.loc.start.line;
+            const endLine = node.loc.end.line;
+
+            functions.push({
+                name: resolveFunctionName(node, ancestors),
+                startLine,
+                endLine,
+                loc: endLine - startLine + 1,
+                cyclomaticComplexity: complexity,
+                nestingDepth,
+                paramCount: node.params.length
+            });
+        }
+    }, walkBase);
+
+    // Outer functions before the ones nested on their first line
+    return functions.sort((a, b) => a.startLine - b.startLine || b.endLine - a.endLine);
+}
+
+/**
+ * Cyclomatic complexity and max nesting depth of a single function body,
+ * stopping at nested function boundaries.
+ */
+function measureFunctionBody(fnNode) {
+    let complexity = 1;
+    let nestingDepth = 0;
+
+    const enter = (st) => {
+        const depth = st.depth + 1;
+        if (depth > nestingDepth) nestingDepth = depth;
+        return { depth };
+    };
+
+    const skipFunction = () => {};
+
+    const nested = (type) => (node, st, c) => {
+        complexity++;
+        walk.base[type](node, enter(st), c);
+    };
+
+    walk.recursive(fnNode.body, { depth: 0 }, {
+        FunctionDeclaration: skipFunction,
+        FunctionExpression: skipFunction,
+        ArrowFunctionExpression: skipFunction,
+        IfStatement(node, st, c) {
+            complexity++;
+            const inner = enter(st);
+            c(node.test, st, 'Expression');
+            c(node.consequent, inner, 'Statement');
+            if (node.alternate) {
+                // `else if` chains stay at the same depth as the first `if`
+                c(node.alternate, node.alternate.type === 'IfStatement' ? st : inner, 'Statement');
+            }
+        },
+        ForStatement: nested('ForStatement'),
+        ForInStatement: nested('ForInStatement'),
+        ForOfStatement: nested('ForOfStatement'),
+        WhileStatement: nested('WhileStatement'),
+        DoWhileStatement: nested('DoWhileStatement'),
+        SwitchStatement(node, st, c) {
+            walk.base.SwitchStatement(node, enter(st), c);
+        },
+        SwitchCase(node, st, c) {
+            if (node.test) complexity++;
+            walk.base.SwitchCase(node, st, c);
+        },
+        TryStatement(node, st, c) {
+            walk.base.TryStatement(node, enter(st), c);
+        },
+        ConditionalExpression(node, st, c) {
+            complexity++;
+            walk.base.ConditionalExpression(node, st, c);
+        },
+        LogicalExpression(node, st, c) {
+            if (node.operator === '||' || node.operator === '&&') complexity++;
+            walk.base.LogicalExpression(node, st, c);
+        }
+    }, walkBase);
+
+    return { complexity, nestingDepth };
+}
+
+function keyName(key, computed) {
+    if (!key) return null;
+    if (computed) return '[computed]';
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+    if (key.type === 'Literal') return String(key.value);
+    return null;
+}
+
+function memberName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression') {
+        const object = memberName(node.object);
+        const property = keyName(node.property, node.computed);
+        return object && property ? `${object}.${property}` : property;
+    }
+    return null;
+}
+
+/**
+ * Best-effort readable name for a function node, e.g. `Service.fetchAll`,
+ * `handler` for `const handler = () => {}`, or `<anonymous>`.
+ */
+function resolveFunctionName(node, ancestors) {
+    if (node.id && node.id.name) return node.id.name;
+
+    const parent = ancestors[ancestors.length - 2];
+    if (!parent) return '<anonymous>';
+
+    switch (parent.type) {
+        case 'MethodDefinition':
+        case 'PropertyDefinition': {
+            const classNode = ancestors[ancestors.length - 4];
+            const className = classNode && classNode.id ? classNode.id.name : null;
+            const method = keyName(parent.key, parent.computed) || '<anonymous>';
+            return className ? `${className}.${method}` : method;
+        }
+        case 'Property':
+            return keyName(parent.key, parent.computed) || '<anonymous>';
+        case 'VariableDeclarator':
+            return parent.id.type === 'Identifier' ? parent.id.name : '<anonymous>';
+        case 'AssignmentExpression':
+            return memberName(parent.left) || '<anonymous>';
+        default:
+            return '<anonymous>';
+    }
+}
+
+module.exports = { analyzeFunctions };
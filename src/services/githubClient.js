@@ -0,0 +1,90 @@
+const config = require('../config');
+
+const API_VERSION = '2022-11-28';
+const MAX_STATUS_DESCRIPTION = 140;
+const MAX_CHECK_SUMMARY = 65535;
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Minimal GitHub REST client for reporting scan results back to GitHub.
+ *
+ * @param {Object} options
+ * @param {string} options.token - OAuth/installation token
+ * @param {string} [options.baseUrl] - API root, e.g. a local fake server in tests (GITHUB_API_URL)
+ * @param {number} [options.timeoutMs] - Limit per request, including reading the response
+ */
+function createGitHubClient({ token, baseUrl = config.github.apiUrl, timeoutMs = config.github.requestTimeoutMs } = {}) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(method, path, body) {
+        try {
+            return await send(method, path, body);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            throw new Error(`GitHub API ${method} ${path} timed out after ${timeoutMs}ms`);
+        }
+    }
+
+    async function send(method, path, body) {
+        const response = await fetch(`${root}${path}`, {
+            method,
+            signal: AbortSignal.timeout(timeoutMs),
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/vnd.github+json',
+                'X-GitHub-Api-Version': API_VERSION,
+                'User-Agent': 'DevDebt-Visualizer',
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`GitHub API ${method} ${path} failed with ${response.status}: ${text.slice(0, 500)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return text ? JSON.parse(text) : null;
+    }
+
+    const repoPath = (owner, repo) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+    return {
+        /**
+         * POST /repos/:owner/:repo/statuses/:sha
+         * @param {Object} status - { state: success|failure|error|pending, context, description, targetUrl }
+         */
+        createCommitStatus(owner, repo, sha, { state, context, description, targetUrl }) {
+            return request('POST', `${repoPath(owner, repo)}/statuses/${sha}`, {
+                state,
+                context,
+                description: description ? truncate(description, MAX_STATUS_DESCRIPTION) : undefined,
+                target_url: targetUrl || undefined
+            });
+        },
+
+        /**
+         * POST /repos/:owner/:repo/check-runs (completed run with a markdown summary).
+         * Needs a GitHub App installation token; OAuth tokens can only post statuses.
+         * @param {Object} run - { name, headSha, conclusion, title, summary, detailsUrl }
+         */
+        createCheckRun(owner, repo, { name, headSha, conclusion, title, summary, detailsUrl }) {
+            return request('POST', `${repoPath(owner, repo)}/check-runs`, {
+                name,
+                head_sha: headSha,
+                status: 'completed',
+                conclusion,
+                completed_at: new Date().toISOString(),
+                details_url: detailsUrl || undefined,
+                output: {
+                    title,
+                    summary: truncate(summary, MAX_CHECK_SUMMARY)
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createGitHubClient };
@@ -0,0 +1,24 @@
+const { isEncrypted, encryptSecret, decryptSecret } = require('./encryption');
+
+/**
+ * Stored form of a GitHub OAuth token (User.encryptedAccessToken)
+ *
+ * @param {string|null} accessToken
+ * @returns {string|null}
+ */
+const sealAccessToken = (accessToken) => (accessToken ? encryptSecret(accessToken) : null);
+
+/**
+ * Plaintext GitHub token of a user row. Rows written before tokens were
+ * encrypted still hold plaintext until `npm run tokens:rotate` runs.
+ *
+ * @param {{ encryptedAccessToken?: string|null }} user
+ * @returns {string|null}
+ */
+function revealAccessToken(user) {
+    const stored = user?.encryptedAccessToken;
+    if (!stored) return null;
+    return isEncrypted(stored) ? decryptSecret(stored) : stored;
+}
+
+module.exports = { sealAccessToken, revealAccessToken };
@@ -0,0 +1,68 @@
+/**
+ * Mapping from analyzer output (analyzeDirectory `files` entries) to
+ * DebtMetric/FunctionMetric columns. No database access, so the CLI can
+ * share it.
+ */
+
+// Boolean flags analyzeFile stores in `details`
+const DETAIL_FLAGS = [
+    'hasLongFunctions',
+    'hasDeepNesting',
+    'hasRepetitivePatterns',
+    'hasHighCoupling',
+    'hasTooManyResponsibilities'
+];
+
+const churnColumns = (fileMetric) => ({
+    commitCount: fileMetric.churn?.commitCount ?? null,
+    linesChurned: fileMetric.churn?.linesChurned ?? null,
+    authorCount: fileMetric.churn?.authorCount ?? null,
+    lastModifiedAt: fileMetric.churn?.lastModifiedAt ?? null,
+    hotspotScore: fileMetric.hotspotScore ?? null
+});
+
+/**
+ * DebtMetric columns and function rows for a freshly analyzed file
+ *
+ * @param {Object} fileMetric - analyzeFile result
+ * @returns {{ metric: Object, functions: Object[] }}
+ */
+function analyzedRow(fileMetric) {
+    return {
+        metric: {
+            filePath: fileMetric.path,
+            contentHash: fileMetric.contentHash || null,
+            loc: fileMetric.loc || 0,
+            parser: fileMetric.parser || null,
+            // Sprawl formula metrics
+            normalizedLOC: fileMetric.metrics?.normalizedLOC || 0,
+            complexityScore: fileMetric.metrics?.complexityScore || 0,
+            duplicationRatio: fileMetric.metrics?.duplicationRatio || 0,
+            crossFileDuplication: fileMetric.metrics?.crossFileDuplication || 0,
+            responsibilityScore: fileMetric.metrics?.responsibilityScore || 0,
+            couplingScore: fileMetric.metrics?.couplingScore || 0,
+            // Legacy metrics
+            cyclomaticComplexity: fileMetric.cyclomaticComplexity || 0,
+            duplicatedLogicScore: fileMetric.duplicatedLogicScore || 0,
+            aiEntropyScore: fileMetric.aiEntropyScore || 0,
+            // Sprawl results
+            sprawlScore: fileMetric.sprawlScore || 0,
+            sprawlLevel: fileMetric.sprawlLevel || 'clean',
+            totalDebtScore: fileMetric.totalDebtScore || 0,
+            details: fileMetric.details || undefined,
+            // Churn (history mode only)
+            ...churnColumns(fileMetric)
+        },
+        functions: (fileMetric.functions || []).map(fn => ({
+            name: fn.name,
+            startLine: fn.startLine,
+            endLine: fn.endLine,
+            loc: fn.loc || 0,
+            cyclomaticComplexity: fn.cyclomaticComplexity || 1,
+            nestingDepth: fn.nestingDepth || 0,
+            paramCount: fn.paramCount || 0
+        }))
+    };
+}
+
+module.exports = { DETAIL_FLAGS, churnColumns, analyzedRow };
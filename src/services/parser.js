@@ -0,0 +1,111 @@
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const jsx = require('acorn-jsx');
+// ESM-only package: loaded through require(esm), which needs Node 20.19+
+const { tsPlugin } = require('@sveltejs/acorn-typescript');
+
+// Parser names recorded on each DebtMetric
+const PARSERS = {
+    JS: 'ast-js',
+    TS: 'ast-ts',
+    REGEX: 'regex-fallback'
+};
+
+const JSParser = acorn.Parser.extend(jsx());
+// JSX stays off for .ts files so `<T>value` casts and `<T>() =>` generics parse.
+// In .tsx, as in tsc, those need `value as T` and `<T,>() =>` instead.
+// Fixtures: scripts/fixtures/parser (npm run parser:verify)
+const TSParser = acorn.Parser.extend(tsPlugin({ jsx: false }));
+const TSXParser = acorn.Parser.extend(tsPlugin({ jsx: true }));
+
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    locations: true,
+    allowHashBang: true,
+    allowReturnOutsideFunction: true
+};
+
+/**
+ * Pick the acorn parser for a file based on its extension
+ */
+function selectParser(filePath) {
+    const ext = path.extname(filePath || '').toLowerCase();
+    if (ext === '.ts' || ext === '.mts' || ext === '.cts') return { Parser: TSParser, name: PARSERS.TS };
+    if (ext === '.tsx') return { Parser: TSXParser, name: PARSERS.TS };
+    return { Parser: JSParser, name: PARSERS.JS };
+}
+
+/**
+ * Parse JS/JSX/TS/TSX source into an ESTree AST.
+ * Returns the parser that produced it, or `regex-fallback` with a null AST
+ * when the source can't be parsed.
+ *
+ * @param {string} content - File contents
+ * @param {string} filePath - Path used to pick the parser
+ * @returns {{ ast: Object|null, parser: string, error?: string }}
+ */
+function parseSource(content, filePath) {
+    const { Parser, name } = selectParser(filePath);
+    try {
+        const ast = Parser.parse(content, PARSE_OPTIONS);
+        return { ast, parser: name };
+    } catch (e) {
+        return { ast: null, parser: PARSERS.REGEX, error: e.message };
+    }
+}
+
+/**
+ * Collect the token stream for a file using the same parser as parseSource.
+ * Parsing (rather than acorn's bare tokenizer) keeps regex/division and
+ * TS generics unambiguous.
+ *
+ * @param {string} content - File contents
+ * @param {string} filePath - Path used to pick the parser
+ * @returns {Array<Object>|null} acorn tokens, or null if the file doesn't parse
+ */
+function tokenizeSource(content, filePath) {
+    const { Parser } = selectParser(filePath);
+    const tokens = [];
+    try {
+        Parser.parse(content, { ...PARSE_OPTIONS, onToken: tokens });
+        return tokens;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isNode(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * Generic traversal for node types acorn-walk doesn't know about
+ * (TS* and JSX* nodes): visit every child that looks like a node.
+ */
+function visitChildren(node, st, c) {
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key === 'range') continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+            for (const child of value) {
+                if (isNode(child)) c(child, st);
+            }
+        } else if (isNode(value)) {
+            c(value, st);
+        }
+    }
+}
+
+/**
+ * acorn-walk base visitor that falls back to `visitChildren` for unknown
+ * node types. Pass as the third argument to `walk.simple` / `walk.ancestor`.
+ */
+const walkBase = new Proxy(walk.base, {
+    get(target, type) {
+        return target[type] || visitChildren;
+    }
+});
+
+module.exports = { parseSource, tokenizeSource, walkBase, PARSERS };
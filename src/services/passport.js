@@ -4,6 +4,7 @@ const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const prisma = require('../prisma');
 const config = require('../config');
+const { sealAccessToken } = require('./githubTokens');
 
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -29,7 +30,7 @@ passport.use(new GitHubStrategy({
       const user = await prisma.user.upsert({
         where: { githubId: profile.id },
         update: {
-          accessToken: accessToken, // In production, encrypt this!
+          encryptedAccessToken: sealAccessToken(accessToken),
           username: profile.username,
           displayName: profile.displayName || profile.username,
           avatarUrl: profile.photos?.[0]?.value
@@ -39,7 +40,7 @@ passport.use(new GitHubStrategy({
           username: profile.username,
           displayName: profile.displayName || profile.username,
           avatarUrl: profile.photos?.[0]?.value,
-          accessToken: accessToken
+          encryptedAccessToken: sealAccessToken(accessToken)
         }
       });
       return done(null, user);
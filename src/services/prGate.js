@@ -0,0 +1,313 @@
+const { z } = require('zod');
+const prisma = require('../prisma');
+const config = require('../config');
+const { compareScans, SPRAWL_LEVELS } = require('./scanDiff');
+const { createGitHubClient } = require('./githubClient');
+const { revealAccessToken } = require('./githubTokens');
+
+const MAX_LISTED_FILES = 20;
+
+/**
+ * Default pull request gate: fail when a file becomes severe, a new file
+ * lands severe, or the average sprawl score rises more than 5%.
+ */
+const DEFAULT_GATE_RULES = Object.freeze({
+    forbiddenTransitions: Object.freeze(['clean->severe', 'mild->severe', 'high->severe']),
+    failOnNewSevereFiles: true,
+    maxAverageSprawlIncreasePct: 5,
+    maxRegressedFiles: null
+});
+
+const level = z.enum(SPRAWL_LEVELS);
+const transitionSchema = z.string().refine((value) => {
+    const [from, to] = value.split('->');
+    return level.safeParse(from).success && level.safeParse(to).success && from !== to;
+}, { message: 'Transitions look like "mild->severe"' });
+
+/**
+ * A complete rule set. null disables a numeric rule.
+ */
+const gateRulesSchema = z.object({
+    forbiddenTransitions: z.array(transitionSchema),
+    failOnNewSevereFiles: z.boolean(),
+    maxAverageSprawlIncreasePct: z.number().min(0).nullable(),
+    maxRegressedFiles: z.number().int().min(0).nullable()
+}).strict();
+
+/**
+ * What clients may send: any subset of the rules, filled in from defaults
+ */
+const gateRulesInputSchema = gateRulesSchema.partial();
+
+function resolveGateRules(overrides) {
+    return { ...DEFAULT_GATE_RULES, ...overrides };
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function averageIncreasePct(diff) {
+    const { base, head } = diff.summary.avgSprawlScore;
+    if (!base) return head > 0 ? Infinity : 0;
+    return round(((head - base) / base) * 100);
+}
+
+/**
+ * Files that are severe in head but weren't in base (added or transitioned)
+ */
+function newSevereFiles(diff) {
+    const transitioned = [...diff.files.regressed, ...diff.files.improved]
+        .filter(f => f.levelTransition?.to === 'severe')
+        .map(f => ({ filePath: f.filePath, from: f.levelTransition.from, sprawlScore: f.head.sprawlScore }));
+    const added = diff.files.added
+        .filter(f => f.sprawlLevel === 'severe')
+        .map(f => ({ filePath: f.filePath, from: null, sprawlScore: f.sprawlScore }));
+    return [...transitioned, ...added].sort((a, b) => b.sprawlScore - a.sprawlScore);
+}
+
+/**
+ * Apply gate rules to a scan comparison.
+ *
+ * @param {Object} diff - Result of compareScans(base, head)
+ * @param {Object} rules - Complete gate rules
+ * @returns {{ passed: boolean, failures: Array<{ rule, message }>, averageIncreasePct, newSevereFiles }}
+ */
+function evaluateGate(diff, rules) {
+    const failures = [];
+    const severe = newSevereFiles(diff);
+
+    for (const transition of rules.forbiddenTransitions) {
+        const count = diff.levelTransitions[transition] || 0;
+        if (count > 0) {
+            failures.push({
+                rule: 'forbiddenTransitions',
+                message: `${count} file(s) went from ${transition.replace('->', ' to ')}`
+            });
+        }
+    }
+
+    const addedSevere = severe.filter(f => f.from === null).length;
+    if (rules.failOnNewSevereFiles && addedSevere > 0) {
+        failures.push({ rule: 'failOnNewSevereFiles', message: `${addedSevere} new file(s) are severe` });
+    }
+
+    const increase = averageIncreasePct(diff);
+    if (rules.maxAverageSprawlIncreasePct !== null && increase > rules.maxAverageSprawlIncreasePct) {
+        failures.push({
+            rule: 'maxAverageSprawlIncreasePct',
+            message: `Average sprawl rose ${Number.isFinite(increase) ? `${increase}%` : 'from 0'} (limit ${rules.maxAverageSprawlIncreasePct}%)`
+        });
+    }
+
+    if (rules.maxRegressedFiles !== null && diff.counts.regressed > rules.maxRegressedFiles) {
+        failures.push({
+            rule: 'maxRegressedFiles',
+            message: `${diff.counts.regressed} file(s) regressed (limit ${rules.maxRegressedFiles})`
+        });
+    }
+
+    return {
+        passed: failures.length === 0,
+        failures,
+        averageIncreasePct: Number.isFinite(increase) ? increase : null,
+        newSevereFiles: severe
+    };
+}
+
+const shortSha = (sha) => (sha ? sha.slice(0, 7) : 'unknown');
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+/**
+ * Markdown report for a check run summary / the gate endpoint
+ */
+function renderGateSummary(diff, evaluation, { baseLabel, headLabel }) {
+    const { avgSprawlScore, sprawlLevels } = diff.summary;
+    const lines = [
+        `## DevDebt sprawl gate: ${evaluation.passed ? 'passed' : 'failed'}`,
+        '',
+        `Compared ${headLabel} against ${baseLabel}.`,
+        ''
+    ];
+
+    if (diff.scoringProfileChanged) {
+        lines.push('> The scoring profile changed between the two scans, so some score changes may not come from code changes.', '');
+    }
+
+    lines.push(
+        '| | Base | Head | Change |',
+        '| --- | ---: | ---: | ---: |',
+        `| Average sprawl | ${avgSprawlScore.base} | ${avgSprawlScore.head} | ${evaluation.averageIncreasePct === null ? 'n/a' : `${signed(evaluation.averageIncreasePct)}%`} |`,
+        `| Severe files | ${sprawlLevels.severe.base} | ${sprawlLevels.severe.head} | ${signed(sprawlLevels.severe.delta)} |`,
+        `| Regressed / improved files | | | ${diff.counts.regressed} / ${diff.counts.improved} |`,
+        ''
+    );
+
+    if (evaluation.failures.length) {
+        lines.push('### Failed rules', '');
+        for (const failure of evaluation.failures) lines.push(`- ${failure.message}`);
+        lines.push('');
+    }
+
+    if (evaluation.newSevereFiles.length) {
+        lines.push('### New severe files', '', '| File | Sprawl | Was |', '| --- | ---: | --- |');
+        for (const file of evaluation.newSevereFiles.slice(0, MAX_LISTED_FILES)) {
+            lines.push(`| \`${file.filePath}\` | ${file.sprawlScore} | ${file.from || 'new file'} |`);
+        }
+        lines.push('');
+    }
+
+    if (diff.files.regressed.length) {
+        lines.push('### Regressed files', '', '| File | Base | Head | Change | Level |', '| --- | ---: | ---: | ---: | --- |');
+        for (const file of diff.files.regressed.slice(0, MAX_LISTED_FILES)) {
+            const levelText = file.levelTransition
+                ? `${file.levelTransition.from} → ${file.levelTransition.to}`
+                : file.head.sprawlLevel;
+            lines.push(`| \`${file.filePath}\` | ${file.base.sprawlScore} | ${file.head.sprawlScore} | ${signed(file.deltas.sprawlScore)} | ${levelText} |`);
+        }
+        if (diff.files.regressed.length > MAX_LISTED_FILES) {
+            lines.push('', `…and ${diff.files.regressed.length - MAX_LISTED_FILES} more.`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Latest completed scan of the PR's base: the exact base commit if we have it,
+ * otherwise the newest non-PR scan of the base branch.
+ */
+async function findBaseScan(scan) {
+    const include = { metrics: true };
+    const exact = scan.prBaseSha && await prisma.scan.findFirst({
+        where: { repositoryId: scan.repositoryId, status: 'COMPLETED', commitSha: scan.prBaseSha, trigger: { not: 'upload' } },
+        orderBy: { completedAt: 'desc' },
+        include
+    });
+    if (exact) return exact;
+
+    return prisma.scan.findFirst({
+        where: {
+            repositoryId: scan.repositoryId,
+            status: 'COMPLETED',
+            branch: scan.prBaseBranch,
+            trigger: { notIn: ['pull_request', 'upload'] }
+        },
+        orderBy: { completedAt: 'desc' },
+        include
+    });
+}
+
+/**
+ * Post the gate outcome as a commit status (default) or a check run
+ */
+async function reportGate(repository, scan, token, { state, description, summary }) {
+    const github = createGitHubClient({ token });
+    const { reporter, context, detailsUrl } = config.prGate;
+    const targetUrl = detailsUrl ? detailsUrl.replace('{scanId}', scan.id) : undefined;
+
+    if (reporter === 'check-run') {
+        await github.createCheckRun(repository.owner, repository.name, {
+            name: context,
+            headSha: scan.commitSha,
+            conclusion: state === 'success' ? 'success' : state === 'failure' ? 'failure' : 'neutral',
+            title: description,
+            summary,
+            detailsUrl: targetUrl
+        });
+    } else {
+        await github.createCommitStatus(repository.owner, repository.name, scan.commitSha, {
+            state,
+            context,
+            description,
+            targetUrl
+        });
+    }
+}
+
+/**
+ * Compare a completed pull_request scan with its base branch, evaluate the
+ * repository's gate rules, report the outcome to GitHub and store it on the scan.
+ *
+ * @param {number} scanId - Completed scan
+ * @returns {Promise<Object|null>} Gate result, null when the scan isn't a PR scan
+ */
+async function runPullRequestGate(scanId) {
+    const scan = await prisma.scan.findUnique({
+        where: { id: scanId },
+        include: {
+            metrics: true,
+            repository: { include: { user: { select: { encryptedAccessToken: true } } } }
+        }
+    });
+    if (!scan || scan.trigger !== 'pull_request' || scan.status !== 'COMPLETED' || !scan.commitSha) {
+        return null;
+    }
+
+    const { repository } = scan;
+    const rules = resolveGateRules(repository.gateRules);
+    const headLabel = `\`${scan.branch || 'head'}\` (${shortSha(scan.commitSha)})`;
+    const base = await findBaseScan(scan);
+
+    let result;
+    if (!base) {
+        const description = `No completed scan of ${scan.prBaseBranch} to compare against`;
+        result = {
+            state: 'success',
+            passed: true,
+            skipped: true,
+            description,
+            rules,
+            summary: `## DevDebt sprawl gate: skipped\n\n${description}. Scan the base branch to enable the gate.`
+        };
+    } else {
+        const diff = compareScans(base, base.metrics, scan, scan.metrics);
+        const evaluation = evaluateGate(diff, rules);
+        const baseLabel = `\`${scan.prBaseBranch}\` (${shortSha(base.commitSha)}, scan #${base.id})`;
+        result = {
+            state: evaluation.passed ? 'success' : 'failure',
+            passed: evaluation.passed,
+            skipped: false,
+            description: evaluation.passed
+                ? `Sprawl gate passed (${diff.counts.regressed} regressed, ${diff.counts.improved} improved)`
+                : `Sprawl gate failed: ${evaluation.failures.map(f => f.message).join('; ')}`,
+            baseScanId: base.id,
+            rules,
+            failures: evaluation.failures,
+            averageIncreasePct: evaluation.averageIncreasePct,
+            newSevereFiles: evaluation.newSevereFiles.map(f => f.filePath),
+            regressedFiles: diff.files.regressed.map(f => f.filePath),
+            summary: renderGateSummary(diff, evaluation, { baseLabel, headLabel })
+        };
+    }
+
+    const token = revealAccessToken(repository.user);
+    if (token) {
+        try {
+            await reportGate(repository, scan, token, result);
+            result.reported = config.prGate.reporter;
+        } catch (error) {
+            console.error(`[Gate] Failed to report scan ${scanId} to GitHub:`, error.message);
+            result.reportError = error.message;
+        }
+    } else {
+        result.reportError = 'No GitHub access token for repository owner';
+    }
+
+    await prisma.scan.update({
+        where: { id: scanId },
+        data: { gateResult: result }
+    });
+
+    console.log(`[Gate] Scan ${scanId} (PR #${scan.prNumber}): ${result.skipped ? 'skipped' : result.state}`);
+    return result;
+}
+
+module.exports = {
+    DEFAULT_GATE_RULES,
+    gateRulesSchema,
+    gateRulesInputSchema,
+    resolveGateRules,
+    evaluateGate,
+    renderGateSummary,
+    runPullRequestGate
+};
@@ -0,0 +1,60 @@
+/**
+ * Scan phases in order, with the share of the overall percentage each covers
+ */
+const PHASES = {
+    queued: [0, 0],
+    cloning: [0, 10],
+    discovering: [10, 15],
+    analyzing: [15, 85],
+    history: [85, 90],
+    persisting: [90, 99],
+    completed: [100, 100]
+};
+
+// Prefix for progress lines the sandboxed analyzer writes to stderr
+const PROGRESS_LINE_PREFIX = '@@devdebt-progress ';
+
+/**
+ * Turn a phase update into what clients see: phase, N/M and overall percent
+ *
+ * @param {Object} update
+ * @param {string} update.phase - One of PHASES
+ * @param {number} [update.current] - Items done in this phase (files analyzed/persisted)
+ * @param {number} [update.total] - Items in this phase
+ * @returns {{ phase, current, total, percent }}
+ */
+function describeProgress({ phase, current = null, total = null }) {
+    const [start, end] = PHASES[phase] || PHASES.queued;
+    const fraction = total ? Math.min(current / total, 1) : 0;
+    return {
+        phase,
+        current,
+        total,
+        percent: Math.round(start + (end - start) * fraction)
+    };
+}
+
+/**
+ * Progress callback for a BullMQ job: forwards updates to job.updateProgress,
+ * skipping ones that wouldn't change what the client shows.
+ */
+function createJobProgressReporter(job) {
+    let last = null;
+
+    return (update) => {
+        const progress = describeProgress(update);
+        if (last && last.phase === progress.phase && last.percent === progress.percent) return;
+        last = progress;
+
+        job.updateProgress(progress).catch((error) => {
+            console.warn(`[Progress] Failed to publish progress for job ${job.id}:`, error.message);
+        });
+    };
+}
+
+module.exports = {
+    PHASES,
+    PROGRESS_LINE_PREFIX,
+    describeProgress,
+    createJobProgressReporter
+};
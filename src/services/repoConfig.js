@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { z } = require('zod');
+const { minimatch } = require('minimatch');
+const {
+    scoringProfileSchema,
+    scoringProfileInputSchema,
+    resolveScoringProfile
+} = require('./scoringProfile');
+
+// Looked up in this order at the repository root
+const CONFIG_FILES = ['.devdebt.yml', '.devdebt.yaml', '.devdebt.json'];
+
+const DEFAULT_INCLUDE = ['**/*.{js,ts,jsx,tsx}'];
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/*.min.js'];
+
+const IGNORE_FILE_PATTERN = /\/\/\s*devdebt-ignore-file\b/;
+const IGNORE_NEXT_FUNCTION_PATTERN = /\/\/\s*devdebt-ignore-next-function\b/;
+
+const MATCH_OPTIONS = { dot: true };
+
+const globList = z.array(z.string().min(1));
+
+/**
+ * Shape of .devdebt.yml / .devdebt.json
+ *
+ * include:   globs a file must match to be analyzed
+ * exclude:   globs skipped on top of the built-in ignores
+ * scoring:   repo-wide profile overrides (weights, idealLoc, ccMax, thresholds)
+ * overrides: [{ paths: [globs], scoring: {...} }], applied in order
+ */
+const repoConfigSchema = z.object({
+    include: globList.optional(),
+    exclude: globList.optional(),
+    scoring: scoringProfileInputSchema.optional(),
+    overrides: z.array(z.object({
+        paths: globList.min(1),
+        scoring: scoringProfileInputSchema
+    }).strict()).optional()
+}).strict();
+
+/**
+ * Shape of the applied config stored with each scan (createConfigRules'
+ * `applied` record, after the analysis filled in suppressions)
+ */
+const appliedConfigSchema = z.object({
+    source: z.string().max(255).nullable(),
+    include: globList,
+    exclude: globList,
+    scoring: scoringProfileInputSchema.nullable(),
+    overrides: z.array(z.object({
+        index: z.number().int().min(0),
+        paths: globList,
+        scoring: scoringProfileInputSchema,
+        matchedFiles: z.number().int().min(0)
+    }).strict()),
+    suppressedFiles: z.array(z.string()),
+    suppressedFunctions: z.array(z.object({
+        file: z.string(),
+        name: z.string(),
+        startLine: z.number().int().min(0)
+    }).strict()),
+    errors: z.array(z.string())
+}).strict();
+
+/**
+ * Read and validate the optional config file from a checkout.
+ * An invalid file is reported in `errors` and otherwise ignored,
+ * so a typo doesn't fail the whole scan.
+ *
+ * @param {string} rootDir - Repository root on disk
+ * @returns {{ source: string|null, config: Object, errors: Array<string> }}
+ */
+function loadRepoConfig(rootDir) {
+    const source = CONFIG_FILES.find(name => fs.existsSync(path.join(rootDir, name)));
+    if (!source) return { source: null, config: {}, errors: [] };
+
+    let raw;
+    try {
+        const text = fs.readFileSync(path.join(rootDir, source), 'utf-8');
+        raw = source.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    } catch (e) {
+        return { source, config: {}, errors: [`Could not parse ${source}: ${e.message}`] };
+    }
+
+    const parsed = repoConfigSchema.safeParse(raw ?? {});
+    if (!parsed.success) {
+        return {
+            source,
+            config: {},
+            errors: parsed.error.issues.map(issue => `${issue.path.join('.') || source}: ${issue.message}`)
+        };
+    }
+
+    return { source, config: parsed.data, errors: [] };
+}
+
+/**
+ * Bind a loaded config to the repository's scoring profile.
+ * Returns helpers the analyzer uses plus a record of which rules fired.
+ *
+ * @param {{ source, config, errors }} loaded - Result of loadRepoConfig
+ * @param {Object} baseProfile - Repository scoring profile
+ */
+function createConfigRules(loaded, baseProfile) {
+    const { source, config } = loaded;
+    const errors = [...loaded.errors];
+
+    let repoProfile = resolveScoringProfile(config.scoring, baseProfile);
+    if (!scoringProfileSchema.safeParse(repoProfile).success) {
+        errors.push('scoring: resulting profile is invalid, using repository profile');
+        repoProfile = baseProfile;
+    }
+
+    const overrides = (config.overrides || []).map((override, index) => ({
+        index,
+        paths: override.paths,
+        scoring: override.scoring,
+        matchedFiles: 0
+    }));
+
+    const applied = {
+        source,
+        include: config.include || DEFAULT_INCLUDE,
+        exclude: [...DEFAULT_EXCLUDE, ...(config.exclude || [])],
+        scoring: config.scoring || null,
+        overrides,
+        suppressedFiles: [],
+        suppressedFunctions: [],
+        errors
+    };
+
+    const profileFor = (filePath) => {
+        let profile = repoProfile;
+        for (const override of overrides) {
+            if (!override.paths.some(pattern => minimatch(filePath, pattern, MATCH_OPTIONS))) continue;
+
+            const candidate = resolveScoringProfile(override.scoring, profile);
+            if (!scoringProfileSchema.safeParse(candidate).success) {
+                const message = `overrides.${override.index}: resulting profile is invalid, skipped`;
+                if (!errors.includes(message)) errors.push(message);
+                continue;
+            }
+            override.matchedFiles++;
+            profile = candidate;
+        }
+        return profile;
+    };
+
+    return { applied, profileFor };
+}
+
+/**
+ * Check the `include` globs (exclusions are handled by the glob ignore list)
+ */
+function isIncluded(filePath, include) {
+    return include.some(pattern => minimatch(filePath, pattern, MATCH_OPTIONS));
+}
+
+function isFileSuppressed(content) {
+    return IGNORE_FILE_PATTERN.test(content);
+}
+
+/**
+ * 1-based line numbers of `// devdebt-ignore-next-function` comments
+ */
+function findIgnoreNextFunctionLines(content) {
+    const lines = [];
+    content.split('\n').forEach((line, i) => {
+        if (IGNORE_NEXT_FUNCTION_PATTERN.test(line)) lines.push(i + 1);
+    });
+    return lines;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    DEFAULT_INCLUDE,
+    DEFAULT_EXCLUDE,
+    appliedConfigSchema,
+    loadRepoConfig,
+    createConfigRules,
+    isIncluded,
+    isFileSuppressed,
+    findIgnoreNextFunctionLines
+};
@@ -0,0 +1,239 @@
+const { Prisma } = require('@prisma/client');
+const { z } = require('zod');
+const { minimatch } = require('minimatch');
+const prisma = require('../prisma');
+const { SPRAWL_LEVELS } = require('./scanDiff');
+const { DETAIL_FLAGS } = require('./metricRows');
+
+const MAX_LIMIT = 500;
+
+// Numeric DebtMetric columns: sortable, and filterable with min<Field>/max<Field>
+const NUMERIC_FIELDS = [
+    'loc',
+    'normalizedLOC',
+    'complexityScore',
+    'duplicationRatio',
+    'crossFileDuplication',
+    'responsibilityScore',
+    'couplingScore',
+    'cyclomaticComplexity',
+    'duplicatedLogicScore',
+    'aiEntropyScore',
+    'sprawlScore',
+    'totalDebtScore',
+    'commitCount',
+    'linesChurned',
+    'authorCount',
+    'hotspotScore'
+];
+
+const SORT_FIELDS = [...NUMERIC_FIELDS, 'filePath', 'lastModifiedAt'];
+
+// What fields= may pick; the id is always returned
+const RESULT_FIELDS = [
+    'filePath',
+    'loc',
+    'parser',
+    'normalizedLOC',
+    'complexityScore',
+    'duplicationRatio',
+    'crossFileDuplication',
+    'responsibilityScore',
+    'couplingScore',
+    'sprawlScore',
+    'sprawlLevel',
+    'cyclomaticComplexity',
+    'duplicatedLogicScore',
+    'aiEntropyScore',
+    'totalDebtScore',
+    'commitCount',
+    'linesChurned',
+    'authorCount',
+    'lastModifiedAt',
+    'hotspotScore',
+    'details'
+];
+
+// Same glob semantics as .devdebt.yml include/exclude
+const GLOB_OPTIONS = { dot: true };
+
+const capitalize = (name) => name[0].toUpperCase() + name.slice(1);
+
+const isGlob = (pattern) => /[*?[\]{}]/.test(pattern);
+
+const commaList = (values) => z.string()
+    .transform(value => value.split(',').map(v => v.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(values)).min(1));
+
+const flag = z.enum(['true', 'false']).transform(value => value === 'true');
+
+/**
+ * GET /scans/:id/results query. Unknown parameters are rejected so a typo
+ * doesn't silently return unfiltered results.
+ */
+const resultsQuerySchema = z.object({
+    limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(100),
+    cursor: z.string().max(1000).optional(),
+    sort: z.enum(SORT_FIELDS).default('totalDebtScore'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+    fields: commaList(RESULT_FIELDS).optional(),
+    sprawlLevel: commaList(SPRAWL_LEVELS).optional(),
+    // Path prefix (src/services/) or glob (src/**/*.ts)
+    path: z.string().min(1).max(1024)
+        .refine(value => !isGlob(value) || minimatch.makeRe(value, GLOB_OPTIONS) !== false, 'Invalid glob')
+        .optional(),
+    ...Object.fromEntries(NUMERIC_FIELDS.flatMap(field => [
+        [`min${capitalize(field)}`, z.coerce.number().optional()],
+        [`max${capitalize(field)}`, z.coerce.number().optional()]
+    ])),
+    ...Object.fromEntries(DETAIL_FLAGS.map(name => [name, flag.optional()]))
+}).strict();
+
+// Columns come from the lists above, never from the request
+const column = (field) => Prisma.raw(`"${field}"`);
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * Opaque cursor: the last row's sort value and id, plus the sort it belongs to
+ */
+const encodeCursor = (query, row) => Buffer.from(JSON.stringify({
+    sort: query.sort,
+    order: query.order,
+    value: row[query.sort],
+    id: row.id
+})).toString('base64url');
+
+function decodeCursor(query) {
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(query.cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!cursor || cursor.sort !== query.sort || cursor.order !== query.order || !Number.isInteger(cursor.id)) {
+        return null;
+    }
+    if (cursor.value === null) return { value: null, id: cursor.id };
+
+    // The value is compared with the sort column, so it must have its type
+    if (query.sort === 'lastModifiedAt') {
+        const date = typeof cursor.value === 'string' ? new Date(cursor.value) : null;
+        return date && !Number.isNaN(date.getTime()) ? { value: date, id: cursor.id } : null;
+    }
+    if (query.sort === 'filePath') {
+        return typeof cursor.value === 'string' ? { value: cursor.value, id: cursor.id } : null;
+    }
+    return Number.isFinite(cursor.value) ? { value: cursor.value, id: cursor.id } : null;
+}
+
+/**
+ * The scan's file paths matching a glob. Matched with minimatch rather than
+ * translated to a Postgres regex, whose syntax differs from JavaScript's.
+ */
+async function matchingPaths(scanId, pattern) {
+    const rows = await prisma.debtMetric.findMany({
+        where: { scanId },
+        select: { filePath: true }
+    });
+    return rows.map(row => row.filePath).filter(filePath => minimatch(filePath, pattern, GLOB_OPTIONS));
+}
+
+/**
+ * Rows after the cursor in `ORDER BY sort <order> NULLS LAST, id <order>`
+ */
+function afterCursor(query, { value, id }) {
+    const sortColumn = column(query.sort);
+    const past = Prisma.raw(query.order === 'asc' ? '>' : '<');
+
+    if (value === null) {
+        return Prisma.sql`(${sortColumn} IS NULL AND "id" ${past} ${id})`;
+    }
+    return Prisma.sql`(${sortColumn} ${past} ${value}
+        OR (${sortColumn} = ${value} AND "id" ${past} ${id})
+        OR ${sortColumn} IS NULL)`;
+}
+
+/**
+ * @param {number} scanId
+ * @param {Object} query - Parsed resultsQuerySchema
+ * @param {Object|null} cursor - decodeCursor result
+ * @param {string[]|null} paths - matchingPaths result when `path` is a glob
+ */
+function whereClause(scanId, query, cursor, paths) {
+    const conditions = [Prisma.sql`"scanId" = ${scanId}`];
+
+    if (query.sprawlLevel) {
+        conditions.push(Prisma.sql`"sprawlLevel" IN (${Prisma.join(query.sprawlLevel)})`);
+    }
+
+    if (paths) {
+        conditions.push(Prisma.sql`"filePath" = ANY(${paths})`);
+    } else if (query.path) {
+        conditions.push(Prisma.sql`"filePath" LIKE ${`${escapeLike(query.path)}%`}`);
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+        const min = query[`min${capitalize(field)}`];
+        const max = query[`max${capitalize(field)}`];
+        if (min !== undefined) conditions.push(Prisma.sql`${column(field)} >= ${min}`);
+        if (max !== undefined) conditions.push(Prisma.sql`${column(field)} <= ${max}`);
+    }
+
+    for (const name of DETAIL_FLAGS) {
+        if (query[name] === undefined) continue;
+        conditions.push(Prisma.sql`COALESCE(("details"->>${name}::text)::boolean, false) = ${query[name]}`);
+    }
+
+    if (cursor) conditions.push(afterCursor(query, cursor));
+
+    return Prisma.join(conditions, ' AND ');
+}
+
+/**
+ * One page of a scan's file metrics, filtered and sorted in the database.
+ *
+ * @param {number} scanId
+ * @param {Object} query - Parsed resultsQuerySchema
+ * @returns {Promise<{ metrics: Object[], nextCursor: string|null, total?: number }|null>}
+ *   null when the cursor is invalid. `total` (rows matching the filters) is
+ *   only counted for the first page.
+ */
+async function queryScanResults(scanId, query) {
+    const cursor = query.cursor ? decodeCursor(query) : null;
+    if (query.cursor && !cursor) return null;
+
+    const paths = query.path && isGlob(query.path) ? await matchingPaths(scanId, query.path) : null;
+
+    const fields = query.fields || RESULT_FIELDS;
+    // The sort column is needed for the next cursor even when not requested
+    const selected = [...new Set(['id', query.sort, ...fields])];
+    const direction = Prisma.raw(query.order === 'asc' ? 'ASC' : 'DESC');
+
+    const rows = await prisma.$queryRaw`
+        SELECT ${Prisma.join(selected.map(column))}
+        FROM "DebtMetric"
+        WHERE ${whereClause(scanId, query, cursor, paths)}
+        ORDER BY ${column(query.sort)} ${direction} NULLS LAST, "id" ${direction}
+        LIMIT ${query.limit + 1}
+    `;
+
+    const page = rows.slice(0, query.limit);
+    const result = {
+        metrics: page.map(row => Object.fromEntries([['id', row.id], ...fields.map(field => [field, row[field]])])),
+        nextCursor: rows.length > query.limit ? encodeCursor(query, page[page.length - 1]) : null
+    };
+
+    if (!query.cursor) {
+        const [{ count }] = await prisma.$queryRaw`
+            SELECT COUNT(*)::int AS "count"
+            FROM "DebtMetric"
+            WHERE ${whereClause(scanId, query, null, paths)}
+        `;
+        result.total = count;
+    }
+
+    return result;
+}
+
+module.exports = { resultsQuerySchema, queryScanResults };
@@ -0,0 +1,47 @@
+const config = require('../config');
+const { analyzeRepo } = require('./analyzer');
+const { runDockerAnalysis } = require('./docker');
+
+/**
+ * Analysis runners. Each takes the same job and resolves to analyzeRepo-shaped
+ * results:
+ * { scanId, cloneUrl, accessToken, ref, historyDays, scoringProfile, previous, signal, onProgress }
+ *
+ * `previous` holds the previous scan's file hashes (see analyzeDirectory);
+ * matching files come back as cached entries.
+ *
+ * `signal` is aborted when the scan is cancelled. The in-process runner
+ * blocks while it analyzes, so it only notices once it returns.
+ */
+const RUNNERS = {
+    // Clone and analyze inside the worker process
+    'in-process': {
+        name: 'in-process',
+        run: (job) => analyzeRepo(job.cloneUrl, job.accessToken, {
+            scoringProfile: job.scoringProfile,
+            ref: job.ref,
+            historyDays: job.historyDays,
+            previous: job.previous,
+            threads: config.analysis.threads,
+            onProgress: job.onProgress
+        })
+    },
+    // Clone on the host, analyze in a resource-limited container without network
+    docker: {
+        name: 'docker',
+        run: (job) => runDockerAnalysis(job)
+    }
+};
+
+/**
+ * Runner selected by config (ANALYZER_RUNNER)
+ */
+function getAnalysisRunner(name = config.analysis.runner) {
+    const runner = RUNNERS[name];
+    if (!runner) {
+        throw new Error(`Unknown analyzer runner "${name}" (expected one of: ${Object.keys(RUNNERS).join(', ')})`);
+    }
+    return runner;
+}
+
+module.exports = { getAnalysisRunner };
@@ -0,0 +1,153 @@
+const { ANALYZER_VERSION, LONG_FUNCTION_LOC } = require('./fileAnalysis');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF rules. Sprawl rules flag whole files; detail rules come from the
+ * `details` flags stored with each DebtMetric.
+ */
+const SARIF_RULES = [
+    {
+        id: 'devdebt/severe-sprawl',
+        name: 'SevereSprawl',
+        shortDescription: { text: 'File has severe code sprawl' },
+        fullDescription: { text: 'The weighted sprawl score (size, complexity, duplication, responsibilities, coupling) is above the severe threshold.' },
+        defaultConfiguration: { level: 'error' }
+    },
+    {
+        id: 'devdebt/high-sprawl',
+        name: 'HighSprawl',
+        shortDescription: { text: 'File has high code sprawl' },
+        fullDescription: { text: 'The weighted sprawl score is above the high threshold.' },
+        defaultConfiguration: { level: 'warning' }
+    },
+    {
+        id: 'devdebt/long-functions',
+        name: 'LongFunctions',
+        detail: 'hasLongFunctions',
+        shortDescription: { text: `Functions longer than ${LONG_FUNCTION_LOC} lines` },
+        defaultConfiguration: { level: 'note' }
+    },
+    {
+        id: 'devdebt/deep-nesting',
+        name: 'DeepNesting',
+        detail: 'hasDeepNesting',
+        shortDescription: { text: 'Deeply nested code' },
+        defaultConfiguration: { level: 'note' }
+    },
+    {
+        id: 'devdebt/repetitive-patterns',
+        name: 'RepetitivePatterns',
+        detail: 'hasRepetitivePatterns',
+        shortDescription: { text: 'Repeated or cloned code' },
+        defaultConfiguration: { level: 'note' }
+    },
+    {
+        id: 'devdebt/high-coupling',
+        name: 'HighCoupling',
+        detail: 'hasHighCoupling',
+        shortDescription: { text: 'Many dependencies on other modules' },
+        defaultConfiguration: { level: 'note' }
+    },
+    {
+        id: 'devdebt/too-many-responsibilities',
+        name: 'TooManyResponsibilities',
+        detail: 'hasTooManyResponsibilities',
+        shortDescription: { text: 'File mixes too many responsibilities' },
+        defaultConfiguration: { level: 'note' }
+    }
+];
+
+const SPRAWL_RULES = { severe: 'devdebt/severe-sprawl', high: 'devdebt/high-sprawl' };
+const DETAIL_RULES = SARIF_RULES.filter(rule => rule.detail);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * SARIF results for one file: one for high/severe sprawl, one per detail
+ * flag. Long functions point at each function over the limit.
+ *
+ * @param {Object} metric - DebtMetric columns, with `functions` for long-function locations
+ */
+function sarifResults(metric) {
+    const fileLocation = (region = { startLine: 1 }) => ({
+        physicalLocation: {
+            artifactLocation: { uri: metric.filePath, uriBaseId: '%SRCROOT%' },
+            region
+        }
+    });
+    const results = [];
+
+    const sprawlRule = SPRAWL_RULES[metric.sprawlLevel];
+    if (sprawlRule) {
+        results.push({
+            ruleId: sprawlRule,
+            message: {
+                text: `Sprawl score ${round(metric.sprawlScore)} (${metric.sprawlLevel}): ` +
+                    `size ${round(metric.normalizedLOC)}, complexity ${round(metric.complexityScore)}, ` +
+                    `duplication ${round(metric.duplicationRatio)}, responsibilities ${round(metric.responsibilityScore)}, ` +
+                    `coupling ${round(metric.couplingScore)}`
+            },
+            locations: [fileLocation()],
+            properties: { sprawlScore: metric.sprawlScore, sprawlLevel: metric.sprawlLevel }
+        });
+    }
+
+    for (const rule of DETAIL_RULES) {
+        if (!metric.details?.[rule.detail]) continue;
+
+        const longFunctions = rule.detail === 'hasLongFunctions'
+            ? (metric.functions || []).filter(fn => fn.loc > LONG_FUNCTION_LOC)
+            : [];
+
+        results.push({
+            ruleId: rule.id,
+            message: {
+                text: longFunctions.length
+                    ? `${longFunctions.length} function(s) over ${LONG_FUNCTION_LOC} lines: ${longFunctions.map(fn => `${fn.name} (${fn.loc})`).join(', ')}`
+                    : rule.shortDescription.text
+            },
+            locations: longFunctions.length
+                ? longFunctions.map(fn => fileLocation({ startLine: fn.startLine, endLine: fn.endLine }))
+                : [fileLocation()]
+        });
+    }
+
+    return results;
+}
+
+/**
+ * SARIF 2.1.0 log with a single run. `results` comes last in the document,
+ * so callers streaming a large log can stringify it with no results and
+ * append them after cutting off the closing `]}]}`.
+ *
+ * @param {Object} source
+ * @param {string} [source.commitSha]
+ * @param {string} [source.branch]
+ * @param {string} [source.repositoryUri] - e.g. the repository's GitHub URL
+ * @param {Array} [results] - From sarifResults
+ */
+function sarifLog({ commitSha, branch, repositoryUri }, results = []) {
+    const run = {
+        tool: {
+            driver: {
+                name: 'DevDebt',
+                semanticVersion: `${ANALYZER_VERSION}.0.0`,
+                rules: SARIF_RULES.map(({ detail, ...rule }) => rule)
+            }
+        },
+        automationDetails: { id: `devdebt/${branch || 'scan'}/` },
+        // repositoryUri is required in SARIF, so local results (no remote) go without
+        ...(commitSha && repositoryUri && {
+            versionControlProvenance: [{
+                repositoryUri,
+                revisionId: commitSha,
+                ...(branch && { branch })
+            }]
+        }),
+        results
+    };
+    return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+module.exports = { SARIF_RULES, DETAIL_RULES, sarifResults, sarifLog };
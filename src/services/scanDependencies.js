@@ -0,0 +1,59 @@
+const prisma = require('../prisma');
+const { summarizeGraph } = require('./dependencyGraph');
+
+/**
+ * A scan's import graph: one node per analyzed file with its coupling
+ * metrics, one edge per import between the scan's files, and the import
+ * cycles (strongly connected components), largest first. Files that are
+ * imported but weren't analyzed (e.g. tiny index.js barrels) still get a
+ * node, with null metricId and metrics, so every edge and cycle resolves.
+ *
+ * @param {number} scanId
+ * @returns {Promise<{ nodes: Object[], edges: Object[], cycles: string[][] }>}
+ */
+async function loadDependencyGraph(scanId) {
+    const [metrics, edges] = await Promise.all([
+        prisma.debtMetric.findMany({
+            where: { scanId },
+            select: { id: true, filePath: true, loc: true, sprawlScore: true, sprawlLevel: true },
+            orderBy: { filePath: 'asc' }
+        }),
+        prisma.dependencyEdge.findMany({
+            where: { scanId },
+            select: { fromPath: true, toPath: true },
+            orderBy: { id: 'asc' }
+        })
+    ]);
+
+    const { nodes, cycles } = summarizeGraph(
+        metrics.map(metric => metric.filePath),
+        edges.map(edge => ({ from: edge.fromPath, to: edge.toPath }))
+    );
+
+    const cycleOf = new Map();
+    cycles.forEach((cycle, index) => {
+        for (const file of cycle) cycleOf.set(file, index);
+    });
+
+    const metricOf = new Map(metrics.map(metric => [metric.filePath, metric]));
+
+    return {
+        nodes: [...nodes.keys()].sort().map((filePath) => {
+            const metric = metricOf.get(filePath);
+            return {
+                id: filePath,
+                metricId: metric ? metric.id : null,
+                loc: metric ? metric.loc : null,
+                sprawlScore: metric ? metric.sprawlScore : null,
+                sprawlLevel: metric ? metric.sprawlLevel : null,
+                ...nodes.get(filePath),
+                // Index into `cycles`, null when the file isn't part of one
+                cycle: cycleOf.has(filePath) ? cycleOf.get(filePath) : null
+            };
+        }),
+        edges: edges.map(edge => ({ source: edge.fromPath, target: edge.toPath })),
+        cycles
+    };
+}
+
+module.exports = { loadDependencyGraph };
@@ -0,0 +1,129 @@
+// Per-file columns compared between scans
+const METRIC_FIELDS = [
+    'loc',
+    'normalizedLOC',
+    'complexityScore',
+    'duplicationRatio',
+    'responsibilityScore',
+    'couplingScore',
+    'cyclomaticComplexity',
+    'sprawlScore',
+    'totalDebtScore'
+];
+
+const SUMMARY_FIELDS = ['totalFiles', 'analyzedFiles', 'avgSprawlScore', 'avgComplexity'];
+
+const SPRAWL_LEVELS = ['clean', 'mild', 'high', 'severe'];
+
+// Score changes smaller than this are treated as unchanged
+const EPSILON = 0.005;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function metricSnapshot(metric) {
+    const snapshot = { sprawlLevel: metric.sprawlLevel };
+    for (const field of METRIC_FIELDS) snapshot[field] = metric[field];
+    return snapshot;
+}
+
+function countLevels(metrics) {
+    const counts = Object.fromEntries(SPRAWL_LEVELS.map(level => [level, 0]));
+    for (const metric of metrics) {
+        if (counts[metric.sprawlLevel] !== undefined) counts[metric.sprawlLevel]++;
+    }
+    return counts;
+}
+
+/**
+ * Compare two scans of the same repository, matching DebtMetric rows by filePath.
+ *
+ * @param {Object} base - Scan record (summary fields + scoringProfile)
+ * @param {Array<Object>} baseMetrics - DebtMetric rows of the base scan
+ * @param {Object} head - Scan record to compare against base
+ * @param {Array<Object>} headMetrics - DebtMetric rows of the head scan
+ * @returns {Object} added/removed/improved/regressed files, level transitions and summary deltas
+ */
+function compareScans(base, baseMetrics, head, headMetrics) {
+    const baseByPath = new Map(baseMetrics.map(m => [m.filePath, m]));
+    const headByPath = new Map(headMetrics.map(m => [m.filePath, m]));
+
+    const added = [];
+    const removed = [];
+    const improved = [];
+    const regressed = [];
+    let unchanged = 0;
+    const transitions = {};
+
+    for (const [filePath, after] of headByPath) {
+        const before = baseByPath.get(filePath);
+        if (!before) {
+            added.push({ filePath, ...metricSnapshot(after) });
+            continue;
+        }
+
+        const deltas = {};
+        for (const field of METRIC_FIELDS) {
+            deltas[field] = round((after[field] || 0) - (before[field] || 0));
+        }
+
+        const levelChanged = before.sprawlLevel !== after.sprawlLevel;
+        const entry = {
+            filePath,
+            base: metricSnapshot(before),
+            head: metricSnapshot(after),
+            deltas,
+            levelTransition: levelChanged ? { from: before.sprawlLevel, to: after.sprawlLevel } : null
+        };
+
+        if (levelChanged) {
+            const key = `${before.sprawlLevel}->${after.sprawlLevel}`;
+            transitions[key] = (transitions[key] || 0) + 1;
+        }
+
+        const scoreDelta = after.sprawlScore - before.sprawlScore;
+        if (scoreDelta > EPSILON) regressed.push(entry);
+        else if (scoreDelta < -EPSILON) improved.push(entry);
+        else unchanged++;
+    }
+
+    for (const [filePath, before] of baseByPath) {
+        if (!headByPath.has(filePath)) removed.push({ filePath, ...metricSnapshot(before) });
+    }
+
+    regressed.sort((a, b) => b.deltas.sprawlScore - a.deltas.sprawlScore);
+    improved.sort((a, b) => a.deltas.sprawlScore - b.deltas.sprawlScore);
+    added.sort((a, b) => b.sprawlScore - a.sprawlScore);
+
+    const summary = {};
+    for (const field of SUMMARY_FIELDS) {
+        const before = base[field] || 0;
+        const after = head[field] || 0;
+        summary[field] = { base: before, head: after, delta: round(after - before) };
+    }
+
+    const baseLevels = countLevels(baseMetrics);
+    const headLevels = countLevels(headMetrics);
+    summary.sprawlLevels = Object.fromEntries(SPRAWL_LEVELS.map(level => [level, {
+        base: baseLevels[level],
+        head: headLevels[level],
+        delta: headLevels[level] - baseLevels[level]
+    }]));
+
+    return {
+        baseScanId: base.id,
+        headScanId: head.id,
+        scoringProfileChanged: JSON.stringify(base.scoringProfile || null) !== JSON.stringify(head.scoringProfile || null),
+        summary,
+        counts: {
+            added: added.length,
+            removed: removed.length,
+            improved: improved.length,
+            regressed: regressed.length,
+            unchanged
+        },
+        levelTransitions: transitions,
+        files: { added, removed, improved, regressed }
+    };
+}
+
+module.exports = { compareScans, METRIC_FIELDS, SPRAWL_LEVELS };
@@ -0,0 +1,42 @@
+const { EventEmitter } = require('events');
+const { getScanQueueEvents } = require('../workers/queue');
+
+// One QueueEvents subscription per process, fanned out to SSE clients by job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let listening = false;
+
+function ensureListening() {
+    if (listening) return;
+    listening = true;
+
+    const queueEvents = getScanQueueEvents();
+    queueEvents.on('progress', ({ jobId, data }) => {
+        jobEvents.emit(jobId, { type: 'progress', data });
+    });
+    queueEvents.on('completed', ({ jobId }) => {
+        jobEvents.emit(jobId, { type: 'finished' });
+    });
+    queueEvents.on('failed', ({ jobId }) => {
+        jobEvents.emit(jobId, { type: 'finished' });
+    });
+    queueEvents.on('error', (error) => {
+        console.error('[ScanEvents] Queue events error:', error.message);
+    });
+}
+
+/**
+ * Listen to a scan job's progress and completion.
+ *
+ * @param {string} jobId - scan.jobId
+ * @param {Function} listener - Called with { type: 'progress', data } or { type: 'finished' }
+ * @returns {Function} Unsubscribe
+ */
+function subscribeToScanJob(jobId, listener) {
+    ensureListening();
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+}
+
+module.exports = { subscribeToScanJob };
@@ -0,0 +1,181 @@
+const { once } = require('events');
+const prisma = require('../prisma');
+const { DETAIL_RULES, sarifResults, sarifLog } = require('./sarif');
+
+// DebtMetric rows fetched per query while streaming
+const BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+    'filePath', 'loc', 'parser', 'sprawlLevel', 'sprawlScore', 'totalDebtScore',
+    'normalizedLOC', 'complexityScore', 'duplicationRatio', 'crossFileDuplication',
+    'responsibilityScore', 'couplingScore', 'cyclomaticComplexity', 'duplicatedLogicScore',
+    'aiEntropyScore', 'commitCount', 'linesChurned', 'authorCount', 'lastModifiedAt', 'hotspotScore',
+    ...DETAIL_RULES.map(rule => rule.detail)
+];
+
+/**
+ * File metric in JSON exports (same fields as GET /scans/:id/results)
+ */
+const formatMetric = (m) => ({
+    id: m.id,
+    filePath: m.filePath,
+    loc: m.loc,
+    parser: m.parser,
+    // Sprawl Metrics
+    normalizedLOC: m.normalizedLOC,
+    complexityScore: m.complexityScore,
+    duplicationRatio: m.duplicationRatio,
+    crossFileDuplication: m.crossFileDuplication,
+    responsibilityScore: m.responsibilityScore,
+    couplingScore: m.couplingScore,
+    // Results
+    sprawlScore: m.sprawlScore,
+    sprawlLevel: m.sprawlLevel,
+    // Legacy
+    cyclomaticComplexity: m.cyclomaticComplexity,
+    duplicatedLogicScore: m.duplicatedLogicScore,
+    aiEntropyScore: m.aiEntropyScore,
+    totalDebtScore: m.totalDebtScore,
+    // Churn (history mode only)
+    commitCount: m.commitCount,
+    linesChurned: m.linesChurned,
+    authorCount: m.authorCount,
+    lastModifiedAt: m.lastModifiedAt,
+    hotspotScore: m.hotspotScore,
+    details: m.details
+});
+
+/**
+ * A scan's DebtMetric rows in id order, one batch at a time
+ *
+ * @param {number} scanId
+ * @param {Object} [include] - Prisma include for each row
+ */
+async function* metricBatches(scanId, include = undefined) {
+    let cursor = null;
+    for (;;) {
+        const batch = await prisma.debtMetric.findMany({
+            where: { scanId },
+            orderBy: { id: 'asc' },
+            take: BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+            ...(include && { include })
+        });
+        if (batch.length) yield batch;
+        if (batch.length < BATCH_SIZE) return;
+        cursor = batch[batch.length - 1].id;
+    }
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full.
+ * Rejects when the stream closes or errors instead (client disconnected),
+ * so the export stops rather than waiting for a 'drain' that never comes.
+ */
+async function write(out, chunk) {
+    if (out.destroyed) throw new Error('Export stream closed');
+    if (out.write(chunk)) return;
+
+    const closed = new AbortController();
+    const onClose = () => closed.abort(new Error('Export stream closed'));
+    out.once('close', onClose);
+    try {
+        await once(out, 'drain', { signal: closed.signal });
+    } finally {
+        out.off('close', onClose);
+    }
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(scan, out) {
+    await write(out, CSV_COLUMNS.join(',') + '\r\n');
+
+    for await (const batch of metricBatches(scan.id)) {
+        const rows = batch.map(metric => CSV_COLUMNS
+            .map(column => csvCell(column in metric ? metric[column] : metric.details?.[column] ?? null))
+            .join(','));
+        await write(out, rows.join('\r\n') + '\r\n');
+    }
+}
+
+async function writeJson(scan, out) {
+    const header = {
+        scanId: scan.id,
+        repository: scan.repository?.fullName || null,
+        commit: scan.commitSha ? { sha: scan.commitSha, branch: scan.branch } : null,
+        completedAt: scan.completedAt,
+        summary: {
+            totalFiles: scan.totalFiles,
+            analyzedFiles: scan.analyzedFiles,
+            avgSprawlScore: scan.avgSprawlScore,
+            avgComplexity: scan.avgComplexity
+        },
+        scoringProfile: scan.scoringProfile
+    };
+    // Everything but the closing brace, so metrics can follow
+    await write(out, JSON.stringify(header).slice(0, -1) + ',"metrics":[');
+
+    let first = true;
+    for await (const batch of metricBatches(scan.id)) {
+        const chunk = batch.map(metric => JSON.stringify(formatMetric(metric))).join(',');
+        await write(out, (first ? '' : ',') + chunk);
+        first = false;
+    }
+
+    await write(out, ']}');
+}
+
+async function writeSarif(scan, out) {
+    const log = sarifLog({
+        commitSha: scan.commitSha,
+        branch: scan.branch,
+        repositoryUri: scan.repository?.htmlUrl
+    });
+
+    // Open the document up to the (empty, last) results array
+    const head = JSON.stringify(log);
+    await write(out, head.slice(0, -']}]}'.length));
+
+    let first = true;
+    const include = { functions: { select: { name: true, startLine: true, endLine: true, loc: true } } };
+    for await (const batch of metricBatches(scan.id, include)) {
+        const results = batch.flatMap(sarifResults);
+        if (!results.length) continue;
+        await write(out, (first ? '' : ',') + results.map(result => JSON.stringify(result)).join(','));
+        first = false;
+    }
+
+    await write(out, ']}]}');
+}
+
+/**
+ * Export formats: content type, file extension and streaming writer
+ */
+const EXPORT_FORMATS = {
+    sarif: { contentType: 'application/sarif+json', extension: 'sarif', write: writeSarif },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsv },
+    json: { contentType: 'application/json', extension: 'json', write: writeJson }
+};
+
+/**
+ * Stream a completed scan's results to a writable stream in the given format.
+ * Rows are read in batches, so memory use doesn't grow with the scan size.
+ *
+ * @param {Object} scan - Scan record with its repository
+ * @param {string} format - sarif/csv/json
+ * @param {import('stream').Writable} out - e.g. an Express response
+ */
+function exportScan(scan, format, out) {
+    return EXPORT_FORMATS[format].write(scan, out);
+}
+
+module.exports = { EXPORT_FORMATS, exportScan };
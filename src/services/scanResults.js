@@ -0,0 +1,185 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { churnColumns, analyzedRow } = require('./metricRows');
+
+const BATCH_SIZE = 500;
+const EDGE_BATCH_SIZE = 5000;
+const TRANSACTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Columns that depend on git history rather than file content; never copied forward
+const CHURN_FIELDS = ['commitCount', 'linesChurned', 'authorCount', 'lastModifiedAt', 'hotspotScore'];
+
+/**
+ * File hashes of the repository's latest completed server-side scan, in the
+ * shape analyzeDirectory expects as `options.previous`. Uploaded scans are
+ * never a base: their metrics weren't computed here.
+ *
+ * @param {number} repositoryId
+ * @returns {Promise<{ baseScanId: number|null, previous: Object }>}
+ */
+async function loadPreviousMetrics(repositoryId) {
+    const base = await prisma.scan.findFirst({
+        where: { repositoryId, status: 'COMPLETED', trigger: { not: 'upload' } },
+        orderBy: { completedAt: 'desc' },
+        select: { id: true, appliedConfig: true }
+    });
+    if (!base) return { baseScanId: null, previous: {} };
+
+    const metrics = await prisma.debtMetric.findMany({
+        where: { scanId: base.id, contentHash: { not: null } },
+        select: {
+            filePath: true,
+            contentHash: true,
+            sprawlScore: true,
+            totalDebtScore: true,
+            cyclomaticComplexity: true
+        }
+    });
+
+    // Suppressed functions only live in the scan's applied config
+    const suppressedByFile = new Map();
+    for (const { file, ...fn } of base.appliedConfig?.suppressedFunctions || []) {
+        if (!suppressedByFile.has(file)) suppressedByFile.set(file, []);
+        suppressedByFile.get(file).push(fn);
+    }
+
+    const previous = {};
+    for (const { filePath, ...metric } of metrics) {
+        previous[filePath] = { ...metric, suppressedFunctions: suppressedByFile.get(filePath) || [] };
+    }
+    return { baseScanId: base.id, previous };
+}
+
+/**
+ * Copy of the previous scan's row for an unchanged file, with this scan's churn
+ */
+function copiedRow(baseMetric, fileMetric) {
+    const { id, scanId, createdAt, functions, ...columns } = baseMetric;
+    for (const field of CHURN_FIELDS) delete columns[field];
+
+    return {
+        metric: {
+            ...columns,
+            details: columns.details ?? undefined,
+            ...churnColumns(fileMetric)
+        },
+        functions: functions.map(({ id: fnId, debtMetricId, createdAt: fnCreatedAt, ...fn }) => fn)
+    };
+}
+
+/**
+ * Store a scan's file metrics, function metrics, clone groups and import edges in one
+ * transaction, in batches. Cached files are copied from the base scan.
+ *
+ * @param {number} scanId
+ * @param {Object} analysisResults - analyzeRepo/analyzeDirectory results
+ * @param {Object} [options]
+ * @param {number} [options.baseScanId] - Scan that cached files are copied from
+ * @param {Function} [options.onProgress] - Called with { phase: 'persisting', current, total }
+ */
+async function saveScanResults(scanId, analysisResults, { baseScanId = null, onProgress = () => {} } = {}) {
+    const files = analysisResults.files || [];
+    const cachedPaths = files.filter(f => f.cached).map(f => f.path);
+
+    const baseByPath = new Map();
+    if (cachedPaths.length && baseScanId) {
+        const baseMetrics = await prisma.debtMetric.findMany({
+            where: { scanId: baseScanId, filePath: { in: cachedPaths } },
+            include: { functions: true }
+        });
+        for (const metric of baseMetrics) baseByPath.set(metric.filePath, metric);
+    }
+
+    const rows = [];
+    for (const fileMetric of files) {
+        if (!fileMetric.cached) {
+            rows.push(analyzedRow(fileMetric));
+            continue;
+        }
+        const baseMetric = baseByPath.get(fileMetric.path);
+        if (baseMetric) rows.push(copiedRow(baseMetric, fileMetric));
+        else console.warn(`[Worker] Cached metrics for ${fileMetric.path} missing from scan ${baseScanId}`);
+    }
+
+    await prisma.$transaction(async (tx) => {
+        for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+            const batch = rows.slice(start, start + BATCH_SIZE);
+
+            const created = await tx.debtMetric.createManyAndReturn({
+                data: batch.map(row => ({ scanId, ...row.metric })),
+                select: { id: true, filePath: true }
+            });
+            const idByPath = new Map(created.map(m => [m.filePath, m.id]));
+
+            const functions = batch.flatMap(row => row.functions.map(fn => ({
+                debtMetricId: idByPath.get(row.metric.filePath),
+                ...fn
+            })));
+            if (functions.length) {
+                await tx.functionMetric.createMany({ data: functions });
+            }
+
+            onProgress({ phase: 'persisting', current: start + batch.length, total: rows.length });
+        }
+
+        // Store cross-file clone groups with their locations
+        for (const clone of analysisResults.clones || []) {
+            await tx.cloneGroup.create({
+                data: {
+                    scanId,
+                    tokenCount: clone.tokenCount,
+                    locations: {
+                        createMany: {
+                            data: clone.locations.map(location => ({
+                                filePath: location.filePath,
+                                startLine: location.startLine,
+                                endLine: location.endLine
+                            }))
+                        }
+                    }
+                },
+                select: { id: true }
+            });
+        }
+
+        // Store the import graph
+        const edges = analysisResults.dependencies?.edges || [];
+        for (let start = 0; start < edges.length; start += EDGE_BATCH_SIZE) {
+            await tx.dependencyEdge.createMany({
+                data: edges.slice(start, start + EDGE_BATCH_SIZE).map(edge => ({
+                    scanId,
+                    fromPath: edge.from,
+                    toPath: edge.to
+                }))
+            });
+        }
+    }, { timeout: TRANSACTION_TIMEOUT_MS });
+
+    return { stored: rows.length, copied: baseByPath.size };
+}
+
+/**
+ * Scan summary columns (file counts, averages, import graph, applied config, commit)
+ * from analyzeRepo/analyzeDirectory results
+ *
+ * @param {Object} analysisResults
+ */
+function summaryColumns(analysisResults) {
+    return {
+        totalFiles: analysisResults.summary?.totalFiles || 0,
+        analyzedFiles: analysisResults.summary?.analyzedFiles || 0,
+        avgSprawlScore: analysisResults.summary?.averageDebtScore || 0,
+        avgComplexity: analysisResults.summary?.averageComplexity || 0,
+        cacheHits: analysisResults.summary?.cacheHits || 0,
+        cacheMisses: analysisResults.summary?.cacheMisses || 0,
+        dependencyCycles: analysisResults.dependencies ? analysisResults.dependencies.cycles?.length || 0 : null,
+        unresolvedImports: analysisResults.dependencies ? analysisResults.dependencies.unresolvedImports || 0 : null,
+        appliedConfig: analysisResults.config || Prisma.DbNull,
+        commitSha: analysisResults.commit?.sha || null,
+        commitAuthor: analysisResults.commit?.author || null,
+        commitDate: analysisResults.commit?.date || null,
+        historyDays: analysisResults.history?.days || null
+    };
+}
+
+module.exports = { loadPreviousMetrics, saveScanResults, summaryColumns };
@@ -0,0 +1,132 @@
+const { z } = require('zod');
+const prisma = require('../prisma');
+const { SPRAWL_LEVELS } = require('./scanDiff');
+
+const MAX_DEPTH = 20;
+
+/**
+ * GET /scans/:id/tree query
+ */
+const treeQuerySchema = z.object({
+    // Subtree root, e.g. src/services (whole repository when omitted)
+    path: z.string().max(1024)
+        .transform(value => value.replace(/^\/+|\/+$/g, ''))
+        .optional(),
+    depth: z.coerce.number().int().min(1).max(MAX_DEPTH).default(2)
+}).strict();
+
+function createNode(name, path, type) {
+    return {
+        name,
+        path,
+        type,
+        loc: 0,
+        sprawlScore: 0,
+        maxComplexity: 0,
+        fileCount: 0,
+        levels: Object.fromEntries(SPRAWL_LEVELS.map(level => [level, 0])),
+        // Running sums for the LOC-weighted average, dropped before returning
+        weightedScore: 0,
+        scoreSum: 0
+    };
+}
+
+function addFile(node, metric) {
+    node.loc += metric.loc;
+    node.maxComplexity = Math.max(node.maxComplexity, metric.cyclomaticComplexity);
+    node.fileCount++;
+    node.levels[metric.sprawlLevel] = (node.levels[metric.sprawlLevel] || 0) + 1;
+    node.weightedScore += metric.sprawlScore * metric.loc;
+    node.scoreSum += metric.sprawlScore;
+}
+
+/**
+ * Final shape: LOC-weighted average score (plain average when no LOC is
+ * known), children largest first
+ */
+function finish(node) {
+    const { weightedScore, scoreSum, children, ...rest } = node;
+    const sprawlScore = node.loc > 0
+        ? weightedScore / node.loc
+        : (node.fileCount ? scoreSum / node.fileCount : 0);
+
+    const result = { ...rest, sprawlScore: Math.round(sprawlScore * 100) / 100 };
+    if (children) {
+        result.children = [...children.values()]
+            .map(finish)
+            .sort((a, b) => b.loc - a.loc || a.name.localeCompare(b.name));
+    }
+    return result;
+}
+
+/**
+ * Directory tree of a scan's files with rollups per directory: total LOC,
+ * LOC-weighted average sprawl score, max cyclomatic complexity and file
+ * counts per sprawl level.
+ *
+ * Nodes deeper than `depth` below the subtree root are left out; directories
+ * cut off that way have `truncated: true` and can be fetched with `path`.
+ *
+ * @param {number} scanId
+ * @param {Object} query - Parsed treeQuerySchema
+ * @returns {Promise<Object|null>} Root node, null when no file is under `path`
+ */
+async function buildScanTree(scanId, { path = '', depth }) {
+    const metrics = await prisma.debtMetric.findMany({
+        where: {
+            scanId,
+            ...(path && { OR: [{ filePath: path }, { filePath: { startsWith: `${path}/` } }] })
+        },
+        select: {
+            id: true,
+            filePath: true,
+            loc: true,
+            sprawlScore: true,
+            sprawlLevel: true,
+            cyclomaticComplexity: true
+        }
+    });
+    if (!metrics.length) return null;
+
+    // The path is a single file
+    if (metrics.length === 1 && metrics[0].filePath === path) {
+        const [metric] = metrics;
+        const node = createNode(path.split('/').pop(), path, 'file');
+        addFile(node, metric);
+        return finish({ ...node, metricId: metric.id, sprawlLevel: metric.sprawlLevel });
+    }
+
+    const root = createNode(path.split('/').pop() || '', path, 'directory');
+
+    for (const metric of metrics) {
+        const segments = (path ? metric.filePath.slice(path.length + 1) : metric.filePath).split('/');
+        addFile(root, metric);
+
+        let node = root;
+        for (let index = 0; index < segments.length; index++) {
+            if (index >= depth) {
+                node.truncated = true;
+                break;
+            }
+
+            const name = segments[index];
+            const isFile = index === segments.length - 1;
+            node.children = node.children || new Map();
+            if (!node.children.has(name)) {
+                const child = createNode(name, node.path ? `${node.path}/${name}` : name, isFile ? 'file' : 'directory');
+                if (isFile) {
+                    child.metricId = metric.id;
+                    child.sprawlLevel = metric.sprawlLevel;
+                }
+                node.children.set(name, child);
+            }
+
+            node = node.children.get(name);
+            addFile(node, metric);
+        }
+    }
+
+    return finish(root);
+}
+
+module.exports = { treeQuerySchema, buildScanTree };
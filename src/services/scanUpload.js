@@ -0,0 +1,169 @@
+const { z } = require('zod');
+const prisma = require('../prisma');
+const { scoringProfileSchema } = require('./scoringProfile');
+const { appliedConfigSchema } = require('./repoConfig');
+const { SPRAWL_LEVELS } = require('./scanDiff');
+const { saveScanResults, summaryColumns } = require('./scanResults');
+const { describeFailure } = require('./scans');
+const { isValidRef } = require('./git');
+const { summarizeGraph } = require('./dependencyGraph');
+
+const MAX_FILES = 50000;
+const MAX_FUNCTIONS_PER_FILE = 5000;
+const MAX_CLONES = 100000;
+const MAX_CLONE_LOCATIONS = 10000;
+const MAX_DEPENDENCY_EDGES = 500000;
+
+const score = z.number().finite().min(0);
+const count = z.number().int().min(0);
+
+const functionSchema = z.object({
+    name: z.string().max(500),
+    startLine: count,
+    endLine: count,
+    loc: count.optional(),
+    cyclomaticComplexity: score.optional(),
+    nestingDepth: count.optional(),
+    paramCount: count.optional()
+});
+
+/**
+ * One `files` entry of analyzeDirectory results. Cached entries can't be
+ * uploaded: there is no base scan to copy them from. Content hashes are
+ * dropped, so uploaded metrics are never reused by server-side scans.
+ */
+const fileSchema = z.object({
+    path: z.string().min(1).max(1024),
+    loc: count,
+    parser: z.string().max(50).nullish(),
+    metrics: z.object({
+        normalizedLOC: score,
+        complexityScore: score,
+        duplicationRatio: score,
+        crossFileDuplication: score.optional(),
+        responsibilityScore: score,
+        couplingScore: score,
+        aiEntropyFactor: score.optional()
+    }),
+    cyclomaticComplexity: score,
+    duplicatedLogicScore: score.optional(),
+    aiEntropyScore: score.optional(),
+    totalDebtScore: score,
+    sprawlScore: score,
+    sprawlLevel: z.enum(SPRAWL_LEVELS),
+    details: z.record(z.string(), z.boolean()).optional(),
+    functions: z.array(functionSchema).max(MAX_FUNCTIONS_PER_FILE).optional(),
+    churn: z.object({
+        commitCount: count,
+        linesChurned: count,
+        authorCount: count,
+        lastModifiedAt: z.coerce.date().nullish()
+    }).nullish(),
+    hotspotScore: score.nullish()
+});
+
+const cloneSchema = z.object({
+    tokenCount: count,
+    locations: z.array(z.object({
+        filePath: z.string().max(1024),
+        startLine: count,
+        endLine: count
+    })).min(2).max(MAX_CLONE_LOCATIONS)
+});
+
+const dependencyEdgeSchema = z.object({
+    from: z.string().min(1).max(1024),
+    to: z.string().min(1).max(1024)
+});
+
+/**
+ * POST /scans/:repoId/upload body: `devdebt analyze --format json` output
+ */
+const uploadedResultsSchema = z.object({
+    commit: z.object({
+        sha: z.string().regex(/^[0-9a-f]{40}$/),
+        branch: z.string().refine(isValidRef, { message: 'Invalid branch' }).nullish(),
+        author: z.string().max(255).nullish(),
+        authorEmail: z.string().max(255).nullish(),
+        date: z.coerce.date().nullish()
+    }).nullish(),
+    scoringProfile: scoringProfileSchema,
+    summary: z.object({ totalFiles: count }),
+    files: z.array(fileSchema).max(MAX_FILES),
+    clones: z.array(cloneSchema).max(MAX_CLONES).optional(),
+    // Cycles are recomputed from the edges rather than trusted
+    dependencies: z.object({
+        edges: z.array(dependencyEdgeSchema).max(MAX_DEPENDENCY_EDGES),
+        unresolvedImports: count.optional()
+    }).nullish(),
+    config: appliedConfigSchema.nullish(),
+    history: z.object({
+        days: z.number().int().min(1),
+        since: z.coerce.date()
+    }).nullish()
+});
+
+/**
+ * Store results analyzed elsewhere (the CLI) as a completed scan.
+ * Averages are recomputed from the files rather than taken from the upload.
+ *
+ * @param {Object} repository - Repository record
+ * @param {Object} results - Parsed uploadedResultsSchema
+ * @returns {Promise<Object>} The completed scan
+ */
+async function storeUploadedScan(repository, results) {
+    const { files } = results;
+    const average = (field) => files.length
+        ? files.reduce((sum, file) => sum + file[field], 0) / files.length
+        : 0;
+
+    const analysisResults = {
+        ...results,
+        ...(results.dependencies && {
+            dependencies: {
+                ...results.dependencies,
+                cycles: summarizeGraph(files.map(file => file.path), results.dependencies.edges).cycles
+            }
+        }),
+        summary: {
+            totalFiles: Math.max(results.summary.totalFiles, files.length),
+            analyzedFiles: files.length,
+            averageComplexity: average('cyclomaticComplexity'),
+            averageDebtScore: average('totalDebtScore')
+        }
+    };
+
+    const scan = await prisma.scan.create({
+        data: {
+            repositoryId: repository.id,
+            status: 'RUNNING',
+            trigger: 'upload',
+            branch: results.commit?.branch || null,
+            startedAt: new Date(),
+            scoringProfile: results.scoringProfile
+        }
+    });
+
+    try {
+        await saveScanResults(scan.id, analysisResults);
+
+        return await prisma.scan.update({
+            where: { id: scan.id },
+            data: {
+                ...summaryColumns(analysisResults),
+                status: 'COMPLETED',
+                completedAt: new Date()
+            }
+        });
+    } catch (error) {
+        await prisma.scan.update({
+            where: { id: scan.id },
+            data: { status: 'FAILED', completedAt: new Date(), failureReason: describeFailure(error) }
+        }).catch((updateError) => {
+            console.error(`Failed to mark uploaded scan ${scan.id} as failed:`, updateError.message);
+        });
+        throw error;
+    }
+}
+
+module.exports = { uploadedResultsSchema, storeUploadedScan };
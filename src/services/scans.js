@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getScanQueue } = require('../workers/queue');
+const { redactCredentials } = require('./git');
+
+const ENQUEUE_TIMEOUT_MS = 2000;
+const MAX_FAILURE_REASON = 2000;
+
+// Job states where the job hasn't been picked up by a worker yet
+const QUEUED_STATES = new Set(['waiting', 'delayed', 'prioritized', 'waiting-children']);
+
+// Every enqueue gets a fresh job ID, so jobs left over from earlier attempts
+// can be told apart from the current one (see the worker's claim step)
+const newJobId = () => `scan-${crypto.randomUUID()}`;
+
+/**
+ * Add a scan's job to scan-queue.
+ *
+ * Waits at most 2s for Redis so callers (HTTP handlers, webhooks) never hang;
+ * rejects on timeout. Scans left PENDING without a job are re-enqueued by the
+ * reconciler.
+ *
+ * Job data never carries credentials: the worker looks up the repository
+ * owner's GitHub token itself.
+ *
+ * @param {Object} scan - Scan record (id, jobId, ref, historyDays)
+ * @param {Object} repository - Repository record
+ */
+function enqueueScan(scan, repository) {
+    const enqueueTask = getScanQueue().add('scan-repo', {
+        scanId: scan.id,
+        repositoryId: repository.id,
+        cloneUrl: repository.cloneUrl,
+        ref: scan.ref,
+        historyDays: scan.historyDays
+    }, { jobId: scan.jobId });
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Queue timeout')), ENQUEUE_TIMEOUT_MS);
+    });
+
+    return Promise.race([enqueueTask, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Enqueue without waiting; failures are logged and left to the reconciler
+ */
+function enqueueInBackground(scan, repository) {
+    enqueueScan(scan, repository)
+        .then(() => {
+            console.log(`Scan ${scan.id} enqueued successfully`);
+        })
+        .catch((err) => {
+            // The scan record is already PENDING; the reconciler picks it up
+            console.error(`Failed to enqueue scan ${scan.id}:`, err.message);
+        });
+}
+
+/**
+ * Create a PENDING scan and enqueue it on scan-queue (fire-and-forget).
+ *
+ * @param {Object} params
+ * @param {Object} params.repository - Repository record
+ * @param {string} [params.ref] - Branch, tag or commit SHA
+ * @param {string} [params.branch] - Branch the ref belongs to, when known up front
+ * @param {number} [params.historyDays] - History mode window
+ * @param {string} [params.trigger] - manual/push/pull_request/schedule
+ * @param {Object} [params.pullRequest] - { number, baseBranch, baseSha } for PR scans
+ * @param {string} [params.deliveryId] - Webhook delivery that triggered it (unique)
+ * @returns {Promise<Object>} The created scan
+ */
+async function createScan({
+    repository,
+    ref = null,
+    branch = null,
+    historyDays = null,
+    trigger = 'manual',
+    pullRequest = null,
+    deliveryId = null
+}) {
+    const scan = await prisma.scan.create({
+        data: {
+            repositoryId: repository.id,
+            status: 'PENDING',
+            jobId: newJobId(),
+            ref,
+            branch,
+            historyDays,
+            trigger,
+            prNumber: pullRequest?.number ?? null,
+            prBaseBranch: pullRequest?.baseBranch ?? null,
+            prBaseSha: pullRequest?.baseSha ?? null,
+            deliveryId
+        }
+    });
+
+    enqueueInBackground(scan, repository);
+    return scan;
+}
+
+/**
+ * Cancel a PENDING or RUNNING scan. Queued jobs are removed; a running job
+ * is aborted by its worker once it sees the CANCELLED status.
+ *
+ * @returns {Promise<{ cancelled: boolean, jobState: string|null }>}
+ */
+async function cancelScan(scan) {
+    const { count } = await prisma.scan.updateMany({
+        where: { id: scan.id, status: { in: ['PENDING', 'RUNNING'] } },
+        data: { status: 'CANCELLED', completedAt: new Date(), failureReason: 'Cancelled by user' }
+    });
+    if (!count) return { cancelled: false, jobState: null };
+
+    const job = scan.jobId ? await getScanQueue().getJob(scan.jobId) : null;
+    if (!job) return { cancelled: true, jobState: null };
+
+    const jobState = await job.getState();
+    if (QUEUED_STATES.has(jobState)) {
+        try {
+            await job.remove();
+            return { cancelled: true, jobState: 'removed' };
+        } catch (error) {
+            // Picked up in the meantime; the worker will see the status
+            console.warn(`Could not remove job ${job.id} of scan ${scan.id}:`, error.message);
+        }
+    }
+    return { cancelled: true, jobState };
+}
+
+/**
+ * Put a FAILED or CANCELLED scan back in the queue under a new job,
+ * dropping any partial results from the previous attempt.
+ *
+ * @returns {Promise<Object|null>} The reset scan, null if it wasn't retryable
+ */
+async function retryScan(scan, repository) {
+    const jobId = newJobId();
+
+    const reset = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.scan.updateMany({
+            where: { id: scan.id, status: { in: ['FAILED', 'CANCELLED'] } },
+            data: {
+                status: 'PENDING',
+                jobId,
+                failureReason: null,
+                startedAt: null,
+                completedAt: null,
+                totalFiles: null,
+                analyzedFiles: null,
+                avgSprawlScore: null,
+                avgComplexity: null,
+                cacheHits: null,
+                cacheMisses: null,
+                cacheBaseScanId: null,
+                dependencyCycles: null,
+                unresolvedImports: null,
+                gateResult: Prisma.DbNull,
+                appliedConfig: Prisma.DbNull,
+                commitSha: null,
+                commitAuthor: null,
+                commitDate: null
+                // historyDays stays: it's the requested window the job is enqueued with
+            }
+        });
+        if (!count) return null;
+
+        await tx.debtMetric.deleteMany({ where: { scanId: scan.id } });
+        await tx.cloneGroup.deleteMany({ where: { scanId: scan.id } });
+        await tx.dependencyEdge.deleteMany({ where: { scanId: scan.id } });
+        return tx.scan.findUnique({ where: { id: scan.id } });
+    });
+
+    if (reset) enqueueInBackground(reset, repository);
+    return reset;
+}
+
+/**
+ * Error message safe to store and show: credentials in URLs and auth
+ * headers are masked
+ */
+function describeFailure(error) {
+    const message = (error && error.message) || String(error);
+    return redactCredentials(message).slice(0, MAX_FAILURE_REASON);
+}
+
+module.exports = {
+    QUEUED_STATES,
+    enqueueScan,
+    createScan,
+    cancelScan,
+    retryScan,
+    describeFailure,
+    newJobId
+};
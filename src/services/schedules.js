@@ -0,0 +1,182 @@
+const { z } = require('zod');
+const cronParser = require('cron-parser');
+const prisma = require('../prisma');
+const { getScanQueue } = require('../workers/queue');
+const { isValidRef, resolveRemoteHead } = require('./git');
+const { createScan, describeFailure } = require('./scans');
+const { revealAccessToken } = require('./githubTokens');
+
+// Job name of the repeatable per-repository job on scan-queue
+const SCHEDULED_SCAN_JOB = 'scheduled-scan';
+
+const SCHEDULE_PRESETS = {
+    daily: '0 3 * * *',
+    weekly: '0 3 * * 1'
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+const isValidCron = (cron) => {
+    try {
+        cronParser.parseExpression(cron);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * PUT body: a preset or a cron expression, plus timezone/branch/enabled
+ */
+const scheduleInputSchema = z.object({
+    preset: z.enum(Object.keys(SCHEDULE_PRESETS)).optional(),
+    cron: z.string().trim().refine(isValidCron, { message: 'Invalid cron expression' }).optional(),
+    timezone: z.string().refine(isValidTimezone, { message: 'Unknown timezone' }).default('UTC'),
+    branch: z.string().refine(isValidRef, { message: 'Invalid branch name' }).nullable().default(null),
+    enabled: z.boolean().default(true)
+}).strict().refine(
+    (input) => !!input.preset !== !!input.cron,
+    { message: 'Provide either preset or cron', path: ['cron'] }
+);
+
+const schedulerId = (repositoryId) => `repository-${repositoryId}`;
+
+/**
+ * Next time the schedule fires, null when disabled
+ */
+function nextRunAt(schedule) {
+    if (!schedule.enabled) return null;
+    return cronParser.parseExpression(schedule.cron, { tz: schedule.timezone }).next().toDate();
+}
+
+/**
+ * Create, update or remove the repository's BullMQ job scheduler so it
+ * matches the stored schedule
+ */
+async function syncScheduleJob(schedule) {
+    const queue = getScanQueue();
+    if (!schedule.enabled) {
+        await queue.removeJobScheduler(schedulerId(schedule.repositoryId));
+        return;
+    }
+
+    await queue.upsertJobScheduler(
+        schedulerId(schedule.repositoryId),
+        { pattern: schedule.cron, tz: schedule.timezone },
+        {
+            name: SCHEDULED_SCAN_JOB,
+            data: { repositoryId: schedule.repositoryId },
+            opts: { removeOnComplete: 100, removeOnFail: 100 }
+        }
+    );
+}
+
+/**
+ * Drop the repeatable job of a repository (no-op when it has none)
+ */
+function removeScheduleJob(repositoryId) {
+    return getScanQueue().removeJobScheduler(schedulerId(repositoryId));
+}
+
+/**
+ * Re-create the job schedulers of all enabled schedules, e.g. after Redis lost them
+ */
+async function syncAllSchedules() {
+    const schedules = await prisma.scanSchedule.findMany({ where: { enabled: true } });
+    for (const schedule of schedules) {
+        await syncScheduleJob(schedule);
+    }
+    return schedules.length;
+}
+
+/**
+ * One firing of a repository's schedule: queue a scan of the branch head,
+ * unless that commit was already scanned.
+ *
+ * @param {number} repositoryId
+ * @returns {Promise<{ outcome: string, scanId?: number, sha?: string }>}
+ */
+async function runScheduledScan(repositoryId) {
+    const schedule = await prisma.scanSchedule.findUnique({
+        where: { repositoryId },
+        include: {
+            repository: {
+                include: { user: { select: { encryptedAccessToken: true } } }
+            }
+        }
+    });
+
+    if (!schedule || !schedule.enabled) {
+        // Stale repeatable job of a removed/disabled schedule
+        await removeScheduleJob(repositoryId);
+        return { outcome: 'disabled' };
+    }
+
+    const { user, ...repository } = schedule.repository;
+    let result;
+
+    try {
+        const head = resolveRemoteHead(repository.cloneUrl, schedule.branch, revealAccessToken(user));
+
+        if (!head) {
+            result = { outcome: 'branch-not-found' };
+        } else {
+            const lastScan = await prisma.scan.findFirst({
+                where: { repositoryId, status: 'COMPLETED', branch: head.branch, trigger: { not: 'upload' } },
+                orderBy: { completedAt: 'desc' },
+                select: { commitSha: true }
+            });
+
+            // A slow scan of the same commit may still be queued from the previous firing
+            const inFlight = await prisma.scan.count({
+                where: { repositoryId, status: { in: ['PENDING', 'RUNNING'] }, ref: head.sha }
+            });
+
+            if (lastScan?.commitSha === head.sha) {
+                result = { outcome: 'skipped-unchanged', sha: head.sha };
+            } else if (inFlight) {
+                result = { outcome: 'skipped-in-progress', sha: head.sha };
+            } else {
+                const scan = await createScan({
+                    repository,
+                    ref: head.sha,
+                    branch: head.branch,
+                    trigger: 'schedule'
+                });
+                result = { outcome: 'queued', scanId: scan.id, sha: head.sha };
+            }
+        }
+    } catch (error) {
+        result = { outcome: 'failed', error: describeFailure(error) };
+    }
+
+    await prisma.scanSchedule.update({
+        where: { id: schedule.id },
+        data: {
+            lastRunAt: new Date(),
+            lastOutcome: result.outcome,
+            ...(result.scanId && { lastScanId: result.scanId })
+        }
+    });
+
+    console.log(`[Schedule] Repository ${repositoryId}: ${result.outcome}${result.error ? ` (${result.error})` : ''}`);
+    return result;
+}
+
+module.exports = {
+    SCHEDULED_SCAN_JOB,
+    SCHEDULE_PRESETS,
+    scheduleInputSchema,
+    nextRunAt,
+    syncScheduleJob,
+    removeScheduleJob,
+    syncAllSchedules,
+    runScheduledScan
+};
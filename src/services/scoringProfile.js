@@ -0,0 +1,100 @@
+const { z } = require('zod');
+
+/**
+ * Default Sprawl Detection Formula settings:
+ * S = w1*N + w2*C + w3*D + w4*R + w5*K, with N = LOC / idealLoc and C = CC / ccMax.
+ * A score at or above a threshold gets that level (below `mild` is clean).
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+    weights: Object.freeze({
+        size: 0.25,
+        complexity: 0.30,
+        duplication: 0.20,
+        responsibility: 0.15,
+        coupling: 0.10
+    }),
+    idealLoc: 30,
+    ccMax: 10,
+    thresholds: Object.freeze({
+        mild: 0.8,
+        high: 1.2,
+        severe: 1.6
+    })
+});
+
+const weightsSchema = z.object({
+    size: z.number().min(0).max(1),
+    complexity: z.number().min(0).max(1),
+    duplication: z.number().min(0).max(1),
+    responsibility: z.number().min(0).max(1),
+    coupling: z.number().min(0).max(1)
+}).strict();
+
+const thresholdsSchema = z.object({
+    mild: z.number().positive(),
+    high: z.number().positive(),
+    severe: z.number().positive()
+}).strict();
+
+/**
+ * A complete, consistent profile
+ */
+const scoringProfileSchema = z.object({
+    weights: weightsSchema,
+    idealLoc: z.number().positive(),
+    ccMax: z.number().positive(),
+    thresholds: thresholdsSchema
+}).strict()
+    .refine(
+        (profile) => Math.abs(Object.values(profile.weights).reduce((a, b) => a + b, 0) - 1) < 0.001,
+        { message: 'Weights must sum to 1', path: ['weights'] }
+    )
+    .refine(
+        ({ thresholds }) => thresholds.mild < thresholds.high && thresholds.high < thresholds.severe,
+        { message: 'Thresholds must increase: mild < high < severe', path: ['thresholds'] }
+    );
+
+/**
+ * What clients may send: any subset of the profile, filled in from defaults
+ */
+const scoringProfileInputSchema = z.object({
+    weights: weightsSchema.partial().optional(),
+    idealLoc: z.number().positive().optional(),
+    ccMax: z.number().positive().optional(),
+    thresholds: thresholdsSchema.partial().optional()
+}).strict();
+
+/**
+ * Layer partial overrides on top of a base profile (defaults if omitted)
+ *
+ * @param {Object} [overrides] - Partial profile, e.g. from the DB or an API request
+ * @param {Object} [base] - Profile to layer onto
+ * @returns {Object} Complete scoring profile
+ */
+function resolveScoringProfile(overrides, base = DEFAULT_SCORING_PROFILE) {
+    const source = overrides || {};
+    return {
+        weights: { ...base.weights, ...source.weights },
+        idealLoc: source.idealLoc ?? base.idealLoc,
+        ccMax: source.ccMax ?? base.ccMax,
+        thresholds: { ...base.thresholds, ...source.thresholds }
+    };
+}
+
+/**
+ * Map an adjusted sprawl score to clean/mild/high/severe
+ */
+function classifySprawl(score, thresholds = DEFAULT_SCORING_PROFILE.thresholds) {
+    if (score < thresholds.mild) return 'clean';
+    if (score < thresholds.high) return 'mild';
+    if (score < thresholds.severe) return 'high';
+    return 'severe';
+}
+
+module.exports = {
+    DEFAULT_SCORING_PROFILE,
+    scoringProfileSchema,
+    scoringProfileInputSchema,
+    resolveScoringProfile,
+    classifySprawl
+};
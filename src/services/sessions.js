@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const config = require('../config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const MAX_DEVICE_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * Device details stored with a session
+ *
+ * @param {import('express').Request} req
+ */
+const clientInfo = (req) => ({
+    device: typeof req.body?.device === 'string' ? req.body.device.slice(0, MAX_DEVICE_LENGTH) : null,
+    userAgent: req.get('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ipAddress: req.ip || null
+});
+
+const refreshExpiry = () => new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Access token (short-lived JWT) bound to a session, plus the refresh token
+ */
+function issueTokens(session, user, refreshToken) {
+    const accessToken = jwt.sign(
+        { id: user.id, username: user.username, sid: session.id },
+        config.jwtSecret,
+        { expiresIn: config.auth.accessTokenTtlSeconds }
+    );
+    return {
+        tokenType: 'Bearer',
+        accessToken,
+        expiresIn: config.auth.accessTokenTtlSeconds,
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt,
+        sessionId: session.id
+    };
+}
+
+/**
+ * One-time code handed to the frontend after the OAuth callback, in place
+ * of a token in the redirect URL
+ *
+ * @param {number} userId
+ * @returns {Promise<string>} The code (only its hash is stored)
+ */
+async function createLoginCode(userId) {
+    const code = randomToken();
+    await prisma.loginCode.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+    await prisma.loginCode.create({
+        data: {
+            userId,
+            codeHash: hashToken(code),
+            expiresAt: new Date(Date.now() + config.auth.loginCodeTtlSeconds * 1000)
+        }
+    });
+    return code;
+}
+
+/**
+ * Trade a login code for a new session. Each code works once.
+ *
+ * @param {string} code
+ * @param {{ device, userAgent, ipAddress }} client
+ * @returns {Promise<Object|null>} Tokens, null when the code is unknown, used or expired
+ */
+async function exchangeLoginCode(code, client) {
+    const codeHash = hashToken(code);
+    const loginCode = await prisma.loginCode.findUnique({ where: { codeHash } });
+    if (!loginCode) return null;
+
+    // Deleting it is what makes it single-use: only one concurrent exchange gets count 1
+    const { count } = await prisma.loginCode.deleteMany({ where: { id: loginCode.id } });
+    if (!count || loginCode.expiresAt <= new Date()) return null;
+
+    const user = await prisma.user.findUnique({ where: { id: loginCode.userId } });
+    if (!user) return null;
+
+    const refreshToken = randomToken();
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            refreshTokenHash: hashToken(refreshToken),
+            ...client,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry()
+        }
+    });
+
+    return issueTokens(session, user, refreshToken);
+}
+
+/**
+ * One-time ticket for a scan's event stream. EventSource can't send an
+ * Authorization header, so the ticket goes in the URL instead of a token.
+ *
+ * @param {{ user: Object, authSession?: Object, apiToken?: Object }} auth - The request's credential
+ * @param {number} scanId
+ * @returns {Promise<string>} The ticket (only its hash is stored)
+ */
+async function createStreamTicket({ user, authSession, apiToken }, scanId) {
+    const ticket = randomToken();
+    await prisma.streamTicket.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+    await prisma.streamTicket.create({
+        data: {
+            userId: user.id,
+            ticketHash: hashToken(ticket),
+            scanId,
+            sessionId: authSession?.id ?? null,
+            apiTokenId: apiToken?.id ?? null,
+            expiresAt: new Date(Date.now() + config.auth.streamTicketTtlSeconds * 1000)
+        }
+    });
+    return ticket;
+}
+
+/**
+ * Use a stream ticket. Each ticket works once, for its scan, and only
+ * while the session or API token that requested it is still valid.
+ *
+ * @param {string} ticket
+ * @param {number} scanId
+ * @returns {Promise<{ user: Object, authSession?: Object, apiToken?: Object }|null>}
+ */
+async function redeemStreamTicket(ticket, scanId) {
+    const streamTicket = await prisma.streamTicket.findUnique({ where: { ticketHash: hashToken(ticket) } });
+    if (!streamTicket) return null;
+
+    const { count } = await prisma.streamTicket.deleteMany({ where: { id: streamTicket.id } });
+    if (!count || streamTicket.expiresAt <= new Date() || streamTicket.scanId !== scanId) return null;
+
+    if (streamTicket.apiTokenId !== null) {
+        const apiToken = await prisma.apiToken.findUnique({
+            where: { id: streamTicket.apiTokenId },
+            include: { user: true }
+        });
+        if (!apiToken || apiToken.expiresAt <= new Date()) return null;
+        return { user: apiToken.user, apiToken };
+    }
+
+    const session = streamTicket.sessionId !== null ? await findActiveSession(streamTicket.sessionId) : null;
+    if (!session) return null;
+
+    const { user, ...authSession } = session;
+    return { user, authSession };
+}
+
+/**
+ * Rotate a refresh token: the old one stops working and a new pair is
+ * issued. Presenting an already rotated token revokes the session, since
+ * it means the token was copied.
+ *
+ * @param {string} refreshToken
+ * @param {{ userAgent, ipAddress }} client
+ * @returns {Promise<{ tokens?: Object, error?: string }>}
+ */
+async function refreshSession(refreshToken, client) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await prisma.session.findUnique({
+        where: { refreshTokenHash: tokenHash },
+        include: { user: true }
+    });
+
+    if (!session) {
+        const reused = await prisma.session.findFirst({
+            where: { previousTokenHash: tokenHash, revokedAt: null }
+        });
+        if (reused) {
+            await revokeSession(reused.id, reused.userId);
+            console.warn(`[Auth] Refresh token reuse on session ${reused.id}, session revoked`);
+        }
+        return { error: 'Invalid refresh token' };
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: 'Session expired' };
+    }
+
+    const nextToken = randomToken();
+    const { count } = await prisma.session.updateMany({
+        where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+        data: {
+            refreshTokenHash: hashToken(nextToken),
+            previousTokenHash: tokenHash,
+            userAgent: client.userAgent,
+            ipAddress: client.ipAddress,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry()
+        }
+    });
+    // Lost a race with a concurrent refresh of the same token
+    if (!count) return { error: 'Invalid refresh token' };
+
+    const updated = await prisma.session.findUnique({ where: { id: session.id } });
+    return { tokens: issueTokens(updated, session.user, nextToken) };
+}
+
+/**
+ * Active session (with its user) an access token belongs to, or null when
+ * it was revoked or expired
+ *
+ * @param {number} sessionId
+ */
+async function findActiveSession(sessionId) {
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+        include: { user: true }
+    });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+    return session;
+}
+
+/**
+ * Revoke one of a user's sessions
+ *
+ * @returns {Promise<boolean>} false when no such active session
+ */
+async function revokeSession(sessionId, userId) {
+    const { count } = await prisma.session.updateMany({
+        where: { id: sessionId, userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    });
+    return count > 0;
+}
+
+/**
+ * Revoke all of a user's sessions (sign out everywhere)
+ *
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId) {
+    const { count } = await prisma.session.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+    });
+    return count;
+}
+
+/**
+ * Session as returned by the API (never the token hashes)
+ */
+const formatSession = (session, currentSessionId) => ({
+    id: session.id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    current: session.id === currentSessionId,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt
+});
+
+module.exports = {
+    clientInfo,
+    createLoginCode,
+    exchangeLoginCode,
+    createStreamTicket,
+    redeemStreamTicket,
+    refreshSession,
+    findActiveSession,
+    revokeSession,
+    revokeAllSessions,
+    formatSession
+};
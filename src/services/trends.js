@@ -0,0 +1,146 @@
+const { Prisma } = require('@prisma/client');
+const { z } = require('zod');
+const prisma = require('../prisma');
+
+const trendQuerySchema = z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    bucket: z.enum(['day', 'week', 'month']).default('day'),
+    top: z.coerce.number().int().min(0).max(50).default(5)
+});
+
+/**
+ * WHERE clause shared by both trend queries: completed server-side scans of
+ * one repository inside the optional date range
+ */
+function scanFilter(repositoryId, { from, to }) {
+    return Prisma.sql`s."repositoryId" = ${repositoryId}
+        AND s."status" = 'COMPLETED'
+        AND s."completedAt" IS NOT NULL
+        AND s."trigger" <> 'upload'
+        ${from ? Prisma.sql`AND s."completedAt" >= ${from}` : Prisma.empty}
+        ${to ? Prisma.sql`AND s."completedAt" <= ${to}` : Prisma.empty}`;
+}
+
+/**
+ * `date_trunc` unit as a literal: it has to be identical in DISTINCT ON and
+ * ORDER BY, which separate bind parameters are not. Validated by trendQuerySchema.
+ */
+function bucketExpression(bucket) {
+    return Prisma.raw(`date_trunc('${bucket}', s."completedAt")`);
+}
+
+/**
+ * Repository-level time series. Each bucket is represented by its latest
+ * completed scan (the state of the code at the end of the period).
+ *
+ * @param {number} repositoryId
+ * @param {Object} options - Parsed trendQuerySchema
+ * @returns {Promise<Array<Object>>} One entry per bucket, oldest first
+ */
+async function getRepositoryTrends(repositoryId, options) {
+    const bucketExpr = bucketExpression(options.bucket);
+
+    const rows = await prisma.$queryRaw`
+        WITH latest AS (
+            SELECT DISTINCT ON (${bucketExpr})
+                ${bucketExpr} AS "bucket",
+                COUNT(*) OVER (PARTITION BY ${bucketExpr})::int AS "scanCount",
+                s."id" AS "scanId",
+                s."completedAt",
+                s."analyzedFiles",
+                s."avgSprawlScore",
+                s."avgComplexity"
+            FROM "Scan" s
+            WHERE ${scanFilter(repositoryId, options)}
+            ORDER BY ${bucketExpr}, s."completedAt" DESC
+        )
+        SELECT
+            l.*,
+            COUNT(m."id") FILTER (WHERE m."sprawlLevel" = 'clean')::int AS "clean",
+            COUNT(m."id") FILTER (WHERE m."sprawlLevel" = 'mild')::int AS "mild",
+            COUNT(m."id") FILTER (WHERE m."sprawlLevel" = 'high')::int AS "high",
+            COUNT(m."id") FILTER (WHERE m."sprawlLevel" = 'severe')::int AS "severe"
+        FROM latest l
+        LEFT JOIN "DebtMetric" m ON m."scanId" = l."scanId"
+        GROUP BY l."bucket", l."scanCount", l."scanId", l."completedAt",
+                 l."analyzedFiles", l."avgSprawlScore", l."avgComplexity"
+        ORDER BY l."bucket"
+    `;
+
+    const worstByScan = new Map();
+    if (options.top > 0 && rows.length > 0) {
+        const worst = await prisma.$queryRaw`
+            SELECT ranked."scanId", ranked."filePath", ranked."sprawlScore", ranked."sprawlLevel"
+            FROM (
+                SELECT m."scanId", m."filePath", m."sprawlScore", m."sprawlLevel",
+                       ROW_NUMBER() OVER (PARTITION BY m."scanId" ORDER BY m."sprawlScore" DESC) AS "rank"
+                FROM "DebtMetric" m
+                WHERE m."scanId" IN (${Prisma.join(rows.map(r => r.scanId))})
+            ) ranked
+            WHERE ranked."rank" <= ${options.top}
+            ORDER BY ranked."scanId", ranked."rank"
+        `;
+        for (const row of worst) {
+            if (!worstByScan.has(row.scanId)) worstByScan.set(row.scanId, []);
+            worstByScan.get(row.scanId).push({
+                filePath: row.filePath,
+                sprawlScore: row.sprawlScore,
+                sprawlLevel: row.sprawlLevel
+            });
+        }
+    }
+
+    return rows.map(row => ({
+        bucket: row.bucket,
+        scanId: row.scanId,
+        scanCount: row.scanCount,
+        completedAt: row.completedAt,
+        analyzedFiles: row.analyzedFiles,
+        avgSprawlScore: row.avgSprawlScore,
+        avgComplexity: row.avgComplexity,
+        sprawlLevels: {
+            clean: row.clean,
+            mild: row.mild,
+            high: row.high,
+            severe: row.severe
+        },
+        worstFiles: worstByScan.get(row.scanId) || []
+    }));
+}
+
+/**
+ * History of a single file: its metrics in the latest scan of each bucket
+ * that contains it.
+ *
+ * @param {number} repositoryId
+ * @param {string} filePath - Path relative to the repository root
+ * @param {Object} options - Parsed trendQuerySchema
+ * @returns {Promise<Array<Object>>} One entry per bucket, oldest first
+ */
+async function getFileTrend(repositoryId, filePath, options) {
+    const bucketExpr = bucketExpression(options.bucket);
+
+    return prisma.$queryRaw`
+        SELECT DISTINCT ON (${bucketExpr})
+            ${bucketExpr} AS "bucket",
+            s."id" AS "scanId",
+            s."completedAt",
+            m."loc",
+            m."normalizedLOC",
+            m."complexityScore",
+            m."duplicationRatio",
+            m."responsibilityScore",
+            m."couplingScore",
+            m."cyclomaticComplexity",
+            m."sprawlScore",
+            m."sprawlLevel"
+        FROM "DebtMetric" m
+        JOIN "Scan" s ON s."id" = m."scanId"
+        WHERE ${scanFilter(repositoryId, options)}
+            AND m."filePath" = ${filePath}
+        ORDER BY ${bucketExpr}, s."completedAt" DESC
+    `;
+}
+
+module.exports = { trendQuerySchema, getRepositoryTrends, getFileTrend };
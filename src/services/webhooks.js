@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const PULL_REQUEST_ACTIONS = new Set(['opened', 'synchronize', 'reopened']);
+const ZERO_SHA = /^0+$/;
+
+/**
+ * New random webhook secret (hex, 32 bytes)
+ */
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Check GitHub's X-Hub-Signature-256 header against the raw request body
+ *
+ * @param {string} secret - Repository webhook secret
+ * @param {Buffer} rawBody - Body exactly as received
+ * @param {string} signatureHeader - e.g. "sha256=5d61..."
+ * @returns {boolean}
+ */
+function verifySignature(secret, rawBody, signatureHeader) {
+    if (!secret || !rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+        return false;
+    }
+
+    const expected = Buffer.from(
+        'sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(signatureHeader);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Branches whose pushes trigger scans: the configured list, or the
+ * default branch when none are configured
+ */
+function isTrackedBranch(repository, branch, defaultBranch) {
+    const tracked = repository.trackedBranches?.length ? repository.trackedBranches : [defaultBranch];
+    return tracked.includes(branch);
+}
+
+/**
+ * Decide what a GitHub event means for a tracked repository.
+ *
+ * @param {string} event - X-GitHub-Event header
+ * @param {Object} payload - Parsed event body
+ * @param {Object} repository - Repository record (trackedBranches)
+ * @returns {{ scan: boolean, reason?: string, ref?: string, branch?: string, trigger?: string, pullRequest?: Object }}
+ */
+function planScanForEvent(event, payload, repository) {
+    if (event === 'push') {
+        if (!payload.ref?.startsWith('refs/heads/')) {
+            return { scan: false, reason: 'Not a branch push' };
+        }
+        if (payload.deleted || !payload.after || ZERO_SHA.test(payload.after)) {
+            return { scan: false, reason: 'Branch deleted' };
+        }
+
+        const branch = payload.ref.slice('refs/heads/'.length);
+        if (!isTrackedBranch(repository, branch, payload.repository?.default_branch)) {
+            return { scan: false, reason: `Branch ${branch} is not tracked` };
+        }
+
+        return { scan: true, ref: payload.after, branch, trigger: 'push' };
+    }
+
+    if (event === 'pull_request') {
+        if (!PULL_REQUEST_ACTIONS.has(payload.action)) {
+            return { scan: false, reason: `Ignored pull_request action ${payload.action}` };
+        }
+
+        const pr = payload.pull_request;
+        return {
+            scan: true,
+            ref: pr.head.sha,
+            branch: pr.head.ref,
+            trigger: 'pull_request',
+            pullRequest: {
+                number: pr.number,
+                baseBranch: pr.base.ref,
+                baseSha: pr.base.sha
+            }
+        };
+    }
+
+    return { scan: false, reason: `Ignored event ${event}` };
+}
+
+module.exports = { generateWebhookSecret, verifySignature, planScanForEvent };
@@ -1,4 +1,4 @@
-const { Queue } = require('bullmq');
+const { Queue, QueueEvents } = require('bullmq');
 const config = require('../config');
 
 // Redis connection options
@@ -19,4 +19,15 @@ const getScanQueue = () => {
   return _scanQueue;
 };
 
-module.exports = { getScanQueue, connection };
+// Lazy queue events (progress/completed/failed), used by the SSE endpoint.
+// QueueEvents blocks on its own Redis connection.
+let _scanQueueEvents = null;
+
+const getScanQueueEvents = () => {
+  if (!_scanQueueEvents) {
+    _scanQueueEvents = new QueueEvents('scan-queue', { connection });
+  }
+  return _scanQueueEvents;
+};
+
+module.exports = { getScanQueue, getScanQueueEvents, connection };
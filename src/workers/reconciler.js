@@ -0,0 +1,106 @@
+const prisma = require('../prisma');
+const config = require('../config');
+const { getScanQueue } = require('./queue');
+const { QUEUED_STATES, enqueueScan, newJobId } = require('../services/scans');
+
+/**
+ * Scan Reconciler - repairs scans whose queue job went missing
+ *
+ * - PENDING scans with no queued job (enqueue timed out, Redis was flushed)
+ *   are re-enqueued under a new job ID.
+ * - RUNNING scans whose job is gone, finished, or that have run longer than
+ *   the limit (worker crashed or was killed) are marked FAILED. Uploads
+ *   (no job) only fail on the time limit.
+ */
+async function reconcileScans() {
+  const queue = getScanQueue();
+  const { pendingGraceMs, maxRunningMs } = config.scans;
+  const now = Date.now();
+  let requeued = 0;
+  let failed = 0;
+
+  const pending = await prisma.scan.findMany({
+    where: { status: 'PENDING', updatedAt: { lt: new Date(now - pendingGraceMs) } },
+    include: { repository: true }
+  });
+
+  for (const scan of pending) {
+    const job = scan.jobId ? await queue.getJob(scan.jobId) : null;
+    const state = job ? await job.getState() : null;
+    if (state === 'active' || QUEUED_STATES.has(state)) continue;
+
+    // Claim it under a new job ID so a late duplicate of the old job is ignored
+    const jobId = newJobId();
+    const { count } = await prisma.scan.updateMany({
+      where: { id: scan.id, status: 'PENDING', jobId: scan.jobId },
+      data: { jobId }
+    });
+    if (!count) continue;
+
+    try {
+      await enqueueScan({ ...scan, jobId }, scan.repository);
+      requeued++;
+      console.log(`[Reconciler] Re-enqueued orphaned scan ${scan.id}`);
+    } catch (error) {
+      console.error(`[Reconciler] Failed to re-enqueue scan ${scan.id}:`, error.message);
+    }
+  }
+
+  const running = await prisma.scan.findMany({
+    where: { status: 'RUNNING' },
+    select: { id: true, jobId: true, startedAt: true }
+  });
+
+  for (const scan of running) {
+    const job = scan.jobId ? await queue.getJob(scan.jobId) : null;
+    const state = job ? await job.getState() : null;
+
+    // Uploaded CLI results are stored without a job; only the time limit applies to them
+    let reason = null;
+    if (scan.jobId && (!state || state === 'unknown' || state === 'completed' || state === 'failed')) {
+      reason = 'Worker stopped before the scan finished';
+    } else if (scan.startedAt && now - scan.startedAt.getTime() > maxRunningMs) {
+      reason = `Scan exceeded the ${Math.round(maxRunningMs / 60000)} minute time limit`;
+      if (job) await job.remove().catch(() => {});
+    }
+    if (!reason) continue;
+
+    const { count } = await prisma.scan.updateMany({
+      where: { id: scan.id, status: 'RUNNING', jobId: scan.jobId },
+      data: { status: 'FAILED', completedAt: new Date(), failureReason: reason }
+    });
+    if (count) {
+      failed++;
+      console.warn(`[Reconciler] Scan ${scan.id} marked FAILED: ${reason}`);
+    }
+  }
+
+  return { requeued, failed };
+}
+
+let timer = null;
+
+/**
+ * Run the reconciler every SCAN_RECONCILE_INTERVAL_MS (0 disables it)
+ */
+function startScanReconciler(intervalMs = config.scans.reconcileIntervalMs) {
+  if (timer || !intervalMs) return;
+
+  let running = false;
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcileScans();
+    } catch (error) {
+      console.error('[Reconciler] Run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`[Reconciler] Checking for stuck scans every ${Math.round(intervalMs / 1000)}s`);
+}
+
+module.exports = { reconcileScans, startScanReconciler };
@@ -1,7 +1,19 @@
 const { Worker } = require('bullmq');
 const prisma = require('../prisma');
+const config = require('../config');
 const { connection } = require('./queue');
-const { analyzeRepo } = require('../services/analyzer');
+const { startScanReconciler } = require('./reconciler');
+const { SCHEDULED_SCAN_JOB, runScheduledScan, syncAllSchedules } = require('../services/schedules');
+const { getAnalysisRunner } = require('../services/runner');
+const { resolveScoringProfile } = require('../services/scoringProfile');
+const { runPullRequestGate } = require('../services/prGate');
+const { describeFailure } = require('../services/scans');
+const { revealAccessToken } = require('../services/githubTokens');
+const { createJobProgressReporter } = require('../services/progress');
+const { loadPreviousMetrics, saveScanResults, summaryColumns } = require('../services/scanResults');
+
+const runner = getAnalysisRunner();
+console.log(`[Worker] Using ${runner.name} analyzer runner`);
 
 /**
  * Scan Worker - Processes repository scan jobs
@@ -10,93 +22,165 @@ const { analyzeRepo } = require('../services/analyzer');
  * - scanId: ID of the scan record
  * - repositoryId: ID of the repository
  * - cloneUrl: Git clone URL
- * - accessToken: GitHub access token for private repos
+ * - ref: optional branch, tag or commit SHA
+ * - historyDays: optional git history window for churn/hotspot analysis
+ *
+ * No credentials travel through Redis: private repositories are cloned with
+ * the repository owner's GitHub token, decrypted from the database here.
+ *
+ * `scheduled-scan` jobs (repeatable, one per scheduled repository) carry only
+ * { repositoryId } and queue a regular scan when the branch head moved.
+ *
+ * The job only runs if it is still the scan's current job (scan.jobId) and
+ * the scan is PENDING, or RUNNING after a stalled attempt. Cancelled and
+ * retried scans leave their old jobs behind; those are skipped.
  */
-const scanWorker = new Worker('scan-queue', async (job) => {
-  const { scanId, repositoryId, cloneUrl, accessToken } = job.data;
+const scanWorker = new Worker('scan-queue', async (job, token, signal) => {
+  if (job.name === SCHEDULED_SCAN_JOB) {
+    return runScheduledScan(job.data.repositoryId);
+  }
+
+  const { scanId, repositoryId, cloneUrl, ref, historyDays } = job.data;
+
+  // Resolve the repository's scoring profile (defaults if never customized)
+  const repository = await prisma.repository.findUnique({
+    where: { id: repositoryId },
+    select: {
+      scoringProfile: true,
+      user: { select: { encryptedAccessToken: true } }
+    }
+  });
+  const scoringProfile = resolveScoringProfile(repository?.scoringProfile);
+
+  // Claim the scan: mark it RUNNING and snapshot the profile it will use
+  const claimed = await prisma.scan.updateMany({
+    where: { id: scanId, jobId: job.id, status: { in: ['PENDING', 'RUNNING'] } },
+    data: {
+      status: 'RUNNING',
+      startedAt: new Date(),
+      failureReason: null,
+      attempts: { increment: 1 },
+      scoringProfile
+    }
+  });
+
+  if (!claimed.count) {
+    console.log(`[Worker] Skipping job ${job.id}: scan ${scanId} was cancelled, retried or already finished`);
+    return { skipped: true };
+  }
 
   console.log(`[Worker] Starting scan ${scanId} for repository ${repositoryId}`);
+  const reportProgress = createJobProgressReporter(job);
+
+  // Abort the runner when the scan gets cancelled from the API
+  const cancelWatch = setInterval(async () => {
+    try {
+      if (await isCancelled(scanId)) scanWorker.cancelJob(job.id, 'Scan cancelled');
+    } catch (e) {
+      // Checked again on the next tick
+    }
+  }, config.scans.cancelPollMs);
 
   try {
-    // Update scan status to RUNNING
-    await prisma.scan.update({
-      where: { id: scanId },
-      data: {
-        status: 'RUNNING',
-        startedAt: new Date()
-      }
+    // Incremental scans: files whose hash matches the latest completed scan are reused
+    const { baseScanId, previous } = await loadPreviousMetrics(repositoryId);
+
+    // Run analysis with the configured runner
+    const analysisResults = await runner.run({
+      scanId,
+      cloneUrl,
+      accessToken: revealAccessToken(repository?.user),
+      ref,
+      historyDays,
+      scoringProfile,
+      previous,
+      signal,
+      onProgress: reportProgress
     });
 
-    // Run local analysis
-    const analysisResults = await analyzeRepo(cloneUrl, accessToken);
+    if (await isCancelled(scanId)) {
+      console.log(`[Worker] Scan ${scanId} was cancelled, discarding results`);
+      return { cancelled: true };
+    }
 
-    // Store metrics in database
+    // Store metrics in database: batched, in one transaction, unchanged files copied forward
     if (analysisResults && analysisResults.files) {
-      for (const fileMetric of analysisResults.files) {
-        await prisma.debtMetric.create({
-          data: {
-            scanId,
-            filePath: fileMetric.path,
-            loc: fileMetric.loc || 0,
-            // Sprawl formula metrics
-            normalizedLOC: fileMetric.metrics?.normalizedLOC || 0,
-            complexityScore: fileMetric.metrics?.complexityScore || 0,
-            duplicationRatio: fileMetric.metrics?.duplicationRatio || 0,
-            responsibilityScore: fileMetric.metrics?.responsibilityScore || 0,
-            couplingScore: fileMetric.metrics?.couplingScore || 0,
-            // Legacy metrics
-            cyclomaticComplexity: fileMetric.cyclomaticComplexity || 0,
-            duplicatedLogicScore: fileMetric.duplicatedLogicScore || 0,
-            aiEntropyScore: fileMetric.aiEntropyScore || 0,
-            // Sprawl results
-            sprawlScore: fileMetric.sprawlScore || 0,
-            sprawlLevel: fileMetric.sprawlLevel || 'clean',
-            totalDebtScore: fileMetric.totalDebtScore || 0,
-            details: fileMetric.details || null
-          }
-        });
-      }
+      await saveScanResults(scanId, analysisResults, {
+        baseScanId,
+        onProgress: reportProgress
+      });
 
       // Update scan with summary data
       await prisma.scan.update({
         where: { id: scanId },
         data: {
-          totalFiles: analysisResults.summary?.totalFiles || 0,
-          analyzedFiles: analysisResults.summary?.analyzedFiles || 0,
-          avgSprawlScore: analysisResults.summary?.averageDebtScore || 0,
-          avgComplexity: analysisResults.summary?.averageComplexity || 0
+          ...summaryColumns(analysisResults),
+          cacheBaseScanId: analysisResults.summary?.cacheHits ? baseScanId : null,
+          // Webhook scans check out a SHA; keep the branch they recorded up front
+          ...(analysisResults.commit?.branch && { branch: analysisResults.commit.branch })
         }
       });
     }
 
-    // Update scan status to COMPLETED
-    await prisma.scan.update({
-      where: { id: scanId },
+    // Update scan status to COMPLETED (unless it was cancelled meanwhile)
+    const completed = await prisma.scan.updateMany({
+      where: { id: scanId, status: 'RUNNING' },
       data: {
         status: 'COMPLETED',
         completedAt: new Date()
       }
     });
 
+    if (!completed.count) {
+      console.log(`[Worker] Scan ${scanId} was cancelled before it completed`);
+      return { cancelled: true };
+    }
+    reportProgress({ phase: 'completed' });
+
     console.log(`[Worker] Scan ${scanId} completed successfully`);
+
+    // Pull request scans: compare with the base branch and report to GitHub.
+    // The scan itself succeeded, so gate errors are only logged.
+    try {
+      await runPullRequestGate(scanId);
+    } catch (gateError) {
+      console.error(`[Worker] PR gate for scan ${scanId} failed:`, gateError.message);
+    }
+
     return { success: true, metricsCount: analysisResults?.files?.length || 0 };
 
   } catch (error) {
+    if (await isCancelled(scanId)) {
+      console.log(`[Worker] Scan ${scanId} cancelled`);
+      return { cancelled: true };
+    }
+
     console.error(`[Worker] Scan ${scanId} failed:`, error);
 
-    // Update scan status to FAILED
-    await prisma.scan.update({
-      where: { id: scanId },
+    // Update scan status to FAILED and keep the reason
+    await prisma.scan.updateMany({
+      where: { id: scanId, status: 'RUNNING' },
       data: {
         status: 'FAILED',
-        completedAt: new Date()
+        completedAt: new Date(),
+        failureReason: describeFailure(error)
       }
     });
 
     throw error;
+  } finally {
+    clearInterval(cancelWatch);
   }
 }, { connection });
 
+async function isCancelled(scanId) {
+  const scan = await prisma.scan.findUnique({
+    where: { id: scanId },
+    select: { status: true }
+  });
+  return scan?.status === 'CANCELLED';
+}
+
 // Worker event handlers
 scanWorker.on('completed', (job, result) => {
   console.log(`[Worker] Job ${job.id} completed:`, result);
@@ -106,4 +190,11 @@ scanWorker.on('failed', (job, error) => {
   console.error(`[Worker] Job ${job?.id} failed:`, error.message);
 });
 
+startScanReconciler();
+
+// Job schedulers live in Redis; restore them in case it was flushed
+syncAllSchedules()
+  .then((count) => console.log(`[Worker] Synced ${count} scan schedules`))
+  .catch((error) => console.error('[Worker] Failed to sync scan schedules:', error.message));
+
 module.exports = scanWorker;